@@ -0,0 +1,299 @@
+// styles to hide element visually while keeping it available to screen readers
+const VISUALLY_HIDDEN = {
+    "position":    "absolute", 
+    "width":       "1px", 
+    "height":      "1px", 
+    "margin":      "-1px", 
+    "padding":     0, 
+    "border":      0, 
+    "overflow":    "hidden", 
+    "clip":        "rect(0 0 0 0)", 
+    "clip-path":   "inset(50%)", 
+    "white-space": "nowrap"
+};
+// keys handled for stepping through points
+const NAV_KEYS = ["ArrowLeft", "ArrowRight", "ArrowUp", "ArrowDown", "Home", "End", "Escape"];
+
+export default function(SimpleGraph, d3) {
+
+    SimpleGraph.prototype.enableAccessibility = function(options) {
+        this.disableAccessibility();
+        options = options || {};
+
+        this._a11y = {
+            title:       options.title || "Chart", 
+            description: options.description || null, 
+            table:       options.table !== false, 
+            highlight:   options.highlight || {}, 
+            tableDiv:    null, 
+            tableQueued: false, 
+            focused:     null
+        };
+
+        // SVG is the single tab stop, from which arrow keys step into the points
+        this.svg
+            .attr("role", "group")
+            .attr("aria-label", this._a11y.title)
+            .attr("tabindex", 0)
+            .on("keydown.sg-a11y", evt => this._onAccessibilityKey(evt))
+            .on("focusin.sg-a11y", evt => this._onAccessibilityFocus(evt))
+            .on("focusout.sg-a11y", evt => {
+                if(this._isAccessiblePoint(evt.target)) this._removeAccessibilityHighlight();
+            });
+        this._describeElements(this.svgGraph.selectAll(".sg-point"), "points");
+        this._describeElements(this.svgGraph.selectAll(".sg-line"), "lines");
+        this._describeElements(this.svgGraph.selectAll(".sg-point-line"), "pointLines");
+        this._describeElements(this.svgGraph.selectAll(".sg-area"), "areas");
+        this._describeElements(this.svgGraph.selectAll(".sg-bar"), "bars");
+        this._renderAccessibilityTable();
+
+        return this;
+    };
+
+    SimpleGraph.prototype.disableAccessibility = function() {
+        if(!this._a11y) return this;
+        this._removeAccessibilityHighlight();
+        if(this._a11y.tableDiv) this._a11y.tableDiv.remove();
+        this._a11y = null;
+        this.svg
+            .attr("role", null)
+            .attr("aria-label", null)
+            .attr("tabindex", null)
+            .on(".sg-a11y", null);
+        this.svgGraph.selectAll(".sg-point, .sg-line, .sg-point-line, .sg-area, .sg-bar")
+            .attr("role", null)
+            .attr("aria-label", null)
+            .attr("aria-hidden", null)
+            .attr("tabindex", null);
+        return this;
+    };
+
+    /*
+     * Set ARIA role and label on drawn elements of data type. Called as elements are drawn or draw-updated, so does
+     * nothing unless accessibility is enabled. Also queues the data table to be rebuilt, once the current drawing is
+     * done.
+     */
+    SimpleGraph.prototype._describeElements = function(selection, type) {
+        if(!this._a11y) return;
+        if(type === "pointLines") {
+            // described by their points
+            selection.attr("aria-hidden", "true");
+        } else {
+            selection
+                .attr("role", "img")
+                .attr("aria-label", d => this._getAccessibleLabel(d, type));
+            if(type === "points") selection.attr("tabindex", -1);
+        }
+        if(this._a11y.table && !this._a11y.tableQueued) {
+            this._a11y.tableQueued = true;
+            Promise.resolve().then(() => {
+                if(!this._a11y) return;
+                this._a11y.tableQueued = false;
+                this._renderAccessibilityTable();
+            });
+        }
+    };
+
+    /*
+     * Format value for axis, as in its tick labels.
+     */
+    SimpleGraph.prototype._formatAccessibleValue = function(a, value) {
+        if(value === null || typeof value === "undefined" || (typeof value === "number" && isNaN(value))) {
+            return "no value";
+        }
+        var axis = this[a];
+        if(axis && axis.format && (typeof value === "number" || value instanceof Date)) return axis.format(value);
+        return String(value);
+    };
+
+    /*
+     * Get name of axis values, as the axis label or, if none, generic name by axis (e.g. "x-value").
+     */
+    SimpleGraph.prototype._getAccessibleAxisName = function(a) {
+        return (this[a] && this[a].label) || `${a}-value`;
+    };
+
+    SimpleGraph.prototype._getAccessibleLabel = function(d, type) {
+        var ya = d.y2 ? "y2" : "y", 
+            xa = d.x2 ? "x2" : "x", 
+            xLabel = this._getAccessibleAxisName(xa), 
+            yLabel = this._getAccessibleAxisName(ya);
+        switch(type) {
+            case "points":
+            case "bars":
+                return `${d.series}: ${xLabel} ${this._formatAccessibleValue(xa, d.x)}, `
+                    + `${yLabel} ${this._formatAccessibleValue(ya, d.y)}`;
+            case "lines":
+            case "areas":
+                let kind = type === "lines" ? "line" : "area", 
+                    coords = (d.coords || []).filter(c => c[0] !== null && !isNaN(c[0]));
+                if(!coords.length) return `${d.series}, ${kind}`;
+                let yValues = [];
+                coords.forEach(c => c.slice(1).forEach(y => {
+                    if(y !== null && !isNaN(y)) yValues.push(y);
+                }));
+                let xExtent = d3.extent(coords, c => c[0]), 
+                    label = `${d.series}, ${kind} of ${coords.length} values, ${xLabel} from `
+                        + `${this._formatAccessibleValue(xa, xExtent[0])} to `
+                        + `${this._formatAccessibleValue(xa, xExtent[1])}`;
+                if(yValues.length) {
+                    label += `, ${yLabel} from ${this._formatAccessibleValue(ya, d3.min(yValues))} to `
+                        + `${this._formatAccessibleValue(ya, d3.max(yValues))}`;
+                }
+                return label;
+        }
+        return d.series;
+    };
+
+    /*
+     * Build visually hidden table of the data (placed after the SVG), as a summary for screen readers. Line and area
+     * functions have no discrete values, so are only listed by name.
+     */
+    SimpleGraph.prototype._renderAccessibilityTable = function() {
+        var a11y = this._a11y;
+        if(a11y.tableDiv) {
+            a11y.tableDiv.remove();
+            a11y.tableDiv = null;
+        }
+        var parent = this.svg.node().parentNode;
+        if(!a11y.table || !parent) return;
+
+        var xLabel = this._getAccessibleAxisName("x") + (this.x2 ? " / " + this._getAccessibleAxisName("x2") : ""), 
+            yLabel = this._getAccessibleAxisName("y") + (this.y2 ? " / " + this._getAccessibleAxisName("y2") : ""), 
+            rows = [], 
+            addRows = (type, d, values) => values.forEach(v => rows.push([d.series, type].concat(v)));
+        (this.areas || []).forEach(d => addRows("area", d, d.coords
+            ? d.coords.map(c => [
+                this._formatAccessibleValue(d.x2 ? "x2" : "x", c[0]), 
+                this._formatAccessibleValue(d.y2 ? "y2" : "y", c[1]) + " to "
+                    + this._formatAccessibleValue(d.y2 ? "y2" : "y", c[2])
+            ])
+            : [["function", "function"]]
+        ));
+        (this.bars || []).forEach(d => addRows("bar", d, [[
+            this._formatAccessibleValue(d.x2 ? "x2" : "x", d.x), this._formatAccessibleValue(d.y2 ? "y2" : "y", d.y)
+        ]]));
+        (this.lines || []).forEach(d => addRows("line", d, d.coords
+            ? d.coords.map(c => [
+                this._formatAccessibleValue(d.x2 ? "x2" : "x", c[0]), 
+                this._formatAccessibleValue(d.y2 ? "y2" : "y", c[1])
+            ])
+            : [["function", "function"]]
+        ));
+        (this.points || []).forEach(d => addRows("point", d, [[
+            this._formatAccessibleValue(d.x2 ? "x2" : "x", d.x), this._formatAccessibleValue(d.y2 ? "y2" : "y", d.y)
+        ]]));
+
+        a11y.tableDiv = d3.select(parent).insert("div", () => this.svg.node().nextSibling)
+            .attr("class", "sg-a11y-table");
+        for(let key in VISUALLY_HIDDEN) {
+            a11y.tableDiv.style(key, VISUALLY_HIDDEN[key]);
+        }
+        var table = a11y.tableDiv.append("table");
+        table.append("caption").text(a11y.title + (a11y.description ? ". " + a11y.description : ""));
+        table.append("thead").append("tr").selectAll("th")
+            .data(["Series", "Type", xLabel, yLabel])
+            .enter().append("th")
+              .attr("scope", "col")
+              .text(d => d);
+        table.append("tbody").selectAll("tr")
+            .data(rows)
+            .enter().append("tr")
+            .selectAll("td")
+              .data(row => row)
+              .enter().append("td")
+                .text(d => d);
+    };
+
+    SimpleGraph.prototype._isAccessiblePoint = function(node) {
+        return !!(node && node.classList && node.classList.contains("sg-point"));
+    };
+
+    /*
+     * Get drawn points for keyboard navigation, grouped by series (in drawn order) and sorted by x-value.
+     */
+    SimpleGraph.prototype._getAccessiblePoints = function() {
+        var bySeries = new Map();
+        this.svgGraph.selectAll(".sg-point").each(function(d) {
+            if(!bySeries.has(d.series)) bySeries.set(d.series, []);
+            bySeries.get(d.series).push(this);
+        });
+        return [...bySeries.values()].map(nodes => nodes.sort((a, b) => a.__data__.x - b.__data__.x));
+    };
+
+    SimpleGraph.prototype._onAccessibilityKey = function(evt) {
+        if(!~NAV_KEYS.indexOf(evt.key)) return;
+        var series = this._getAccessiblePoints(), 
+            node = evt.target;
+        if(!series.length) return;
+        evt.preventDefault();
+        if(evt.key === "Escape") {
+            this.svg.node().focus();
+            return;
+        }
+
+        var s = series.findIndex(nodes => ~nodes.indexOf(node)), 
+            next;
+        if(!~s) {
+            // entering from the SVG itself
+            next = series[0][0];
+        } else {
+            let nodes = series[s], 
+                i = nodes.indexOf(node);
+            switch(evt.key) {
+                case "ArrowRight":
+                    next = nodes[Math.min(i+1, nodes.length-1)];
+                    break;
+                case "ArrowLeft":
+                    next = nodes[Math.max(i-1, 0)];
+                    break;
+                case "Home":
+                    next = nodes[0];
+                    break;
+                case "End":
+                    next = nodes[nodes.length-1];
+                    break;
+                default:
+                    // across series, to the point nearest in x-value
+                    let other = series[s + (evt.key === "ArrowDown" ? 1 : -1)];
+                    if(!other) return;
+                    let x = node.__data__.x;
+                    next = other.reduce((nearest, n) => (
+                        Math.abs(n.__data__.x - x) < Math.abs(nearest.__data__.x - x) ? n : nearest
+                    ));
+            }
+        }
+        if(next && next !== node) next.focus();
+    };
+
+    SimpleGraph.prototype._onAccessibilityFocus = function(evt) {
+        var node = evt.target;
+        if(!this._isAccessiblePoint(node)) return;
+        this._removeAccessibilityHighlight();
+        var graphNode = this.svgGraph.node(), 
+            count = graphNode.childNodes.length, 
+            wasHidden = node.classList.contains("sg-highlight-hide");
+        this.highlightPoints(Object.assign({}, this._a11y.highlight, {
+            series: null, 
+            filter: (d, element) => element === node
+        }));
+        // tracked to remove only the focus highlight, leaving any others (e.g. of the selection)
+        this._a11y.focused = {
+            highlights: [...graphNode.childNodes].slice(count), 
+            hidden:     wasHidden ? null : node
+        };
+    };
+
+    SimpleGraph.prototype._removeAccessibilityHighlight = function() {
+        if(!this._a11y || !this._a11y.focused) return;
+        var focused = this._a11y.focused;
+        focused.highlights.forEach(highlight => highlight.remove());
+        if(focused.hidden) {
+            d3.select(focused.hidden)
+                .style("opacity", this._getPointOpacity(d3.select(focused.hidden).datum()))
+                .classed("sg-highlight-hide", false);
+        }
+        this._a11y.focused = null;
+    };
+
+}
@@ -0,0 +1,219 @@
+export default function(SimpleGraph, d3) {
+
+    SimpleGraph.prototype.fitAxes = function() {
+        this._refitAutoAxes();
+        return this;
+    };
+
+    /*
+     * Refit axes with auto-extent to data, updating axes, grid, and any drawn data if domains changed. Called at the
+     * start of every draw and draw-update.
+     */
+    SimpleGraph.prototype._refitAutoAxes = function(barOptions) {
+        if(this._refitting || !this._fitAutoAxes(barOptions)) return false;
+        // guard as redrawing the data calls draw-updates which would refit again
+        this._refitting = true;
+        if(this._zoom) this._rebaseZoom();
+        this._updateAxes();
+        this._updateGrid();
+        // highlights are static copies of drawn elements that would be left behind
+        this.removeHighlights();
+        this._drawUpdateAll();
+        this._refitting = false;
+        return true;
+    };
+
+    /*
+     * Fit domains of axes with auto-extent to data. Returns true if any domain changed. Does not refit while zoomed in
+     * so as not to override the zoomed domains. Bar options default to those last drawn with.
+     */
+    SimpleGraph.prototype._fitAutoAxes = function(barOptions) {
+        var axes = ["x", "x2", "y", "y2"].filter(a => this[a] && this[a].auto);
+        if(!axes.length) return false;
+        if(this._zoom && d3.zoomTransform(this.svgGraph.node()).k !== 1) return false;
+
+        var changed = false;
+        // fit x-axes first, as line functions without x-range are sampled over x-axis domain
+        if(this.x.auto || (this.x2 && this.x2.auto)) {
+            let extents = this._getAutoExtents(true, barOptions);
+            ["x", "x2"].forEach(a => {
+                if(!this[a] || !this[a].auto || !extents[a]) return;
+                changed = this._setAutoDomain(a, extents[a]) || changed;
+            });
+        }
+        if((this.y && this.y.auto) || (this.y2 && this.y2.auto)) {
+            let extents = this._getAutoExtents(false, barOptions);
+            ["y", "y2"].forEach(a => {
+                if(!this[a] || !this[a].auto || !extents[a]) return;
+                changed = this._setAutoDomain(a, extents[a]) || changed;
+            });
+        }
+        if(changed) {
+            // for backwards compatibility
+            this.minMax = {
+                x: [this.x.min, this.x.max], 
+                y: [this.y.min, this.y.max]
+            };
+        }
+        return changed;
+    };
+
+    /*
+     * Get [min, max] extents of all data per axis. Values that can't be shown on log axes are ignored.
+     */
+    SimpleGraph.prototype._getAutoExtents = function(xOnly, barOptions) {
+        var extents = {x: null, x2: null, y: null, y2: null}, 
+            add = (a, v) => {
+                if(v === null || typeof v === "undefined") return;
+                v = +v;
+                if(!isFinite(v) || (this[a] && this[a].isLog && v <= 0)) return;
+                if(!extents[a]) {
+                    extents[a] = [v, v];
+                } else {
+                    if(v < extents[a][0]) extents[a][0] = v;
+                    if(v > extents[a][1]) extents[a][1] = v;
+                }
+            }, 
+            xAxis = d => d.x2 ? "x2" : "x", 
+            yAxis = d => d.y2 ? "y2" : "y", 
+            // hidden series are not fit to
+            hasAxis = type => (d => (
+                (!d.y2 || this.y2) && (!d.x2 || this.x2) && !this._isSeriesHidden(d.series, type)
+            )), 
+            sample = (func, xRange, a, xa) => {
+                // only sampled as needed, as sampling may be expensive
+                if(!this[a].auto) return;
+                let samples = this[a].auto.samples, 
+                    x0 = +(xRange ? xRange[0] : this[xa].min), 
+                    x1 = +(xRange ? xRange[1] : this[xa].max);
+                for(let i = 0; i <= samples; ++i) {
+                    add(a, func(x0 + i*(x1 - x0)/samples));
+                }
+            };
+
+        if(this.points) {
+            this.points.filter(hasAxis("points")).forEach(d => {
+                if(xOnly) {
+                    add(xAxis(d), d.x);
+                    if(d.xError) {
+                        add(xAxis(d), +d.x - d.xError[0]);
+                        add(xAxis(d), +d.x + d.xError[1]);
+                    }
+                } else {
+                    add(yAxis(d), d.y);
+                    if(d.yError) {
+                        add(yAxis(d), d.y - d.yError[0]);
+                        add(yAxis(d), d.y + d.yError[1]);
+                    }
+                }
+            });
+        }
+        if(this.lines) {
+            this.lines.filter(hasAxis("lines")).forEach(line => {
+                if(line.lineFunction) {
+                    if(xOnly) {
+                        if(line.xRange) line.xRange.forEach(x => add(xAxis(line), x));
+                    } else {
+                        sample(line.lineFunction, line.xRange, yAxis(line), xAxis(line));
+                    }
+                    return;
+                }
+                line.coords.forEach(c => xOnly ? add(xAxis(line), c[0]) : add(yAxis(line), c[1]));
+            });
+        }
+        if(this.areas) {
+            this.areas.filter(hasAxis("areas")).forEach(area => {
+                if(area.functions) {
+                    if(xOnly) {
+                        if(area.xRange) area.xRange.forEach(x => add(xAxis(area), x));
+                    } else {
+                        area.functions.forEach(func => sample(func, area.xRange, yAxis(area), xAxis(area)));
+                    }
+                    return;
+                }
+                area.coords.forEach(c => {
+                    if(xOnly) {
+                        add(xAxis(area), c[0]);
+                    } else {
+                        add(yAxis(area), c[1]);
+                        add(yAxis(area), c[2]);
+                    }
+                });
+            });
+        }
+        if(this.bars) {
+            // bars extend from zero (and when stacked, to the stacked totals)
+            barOptions = barOptions || (this._drawn.bars && this._drawn.bars.options);
+            let stacked = barOptions && barOptions.mode === "stacked", 
+                stacks = {};
+            this.bars.filter(hasAxis("bars")).forEach(d => {
+                if(xOnly) {
+                    add(xAxis(d), d.x);
+                    return;
+                }
+                if(isNaN(d.y)) return;
+                add(yAxis(d), 0);
+                if(!stacked) {
+                    add(yAxis(d), d.y);
+                    return;
+                }
+                let key = xAxis(d) + ":" + yAxis(d) + ":" + (+d.x), 
+                    dir = d.y >= 0 ? "pos" : "neg";
+                stacks[key] = stacks[key] || {pos: 0, neg: 0};
+                stacks[key][dir] += d.y;
+                add(yAxis(d), stacks[key][dir]);
+            });
+        }
+        return extents;
+    };
+
+    /*
+     * Set axis domain from data extent, applying padding, zero-inclusion, and nice rounding. Returns true if domain
+     * changed.
+     */
+    SimpleGraph.prototype._setAutoDomain = function(a, extent) {
+        var axis = this[a], 
+            auto = axis.auto, 
+            min = extent[0], 
+            max = extent[1];
+        if(auto.zero && !axis.isLog) {
+            min = Math.min(min, 0);
+            max = Math.max(max, 0);
+        }
+        // single value needs some span to be shown
+        if(min === max) {
+            if(axis.isLog) {
+                min /= axis.scale.base();
+                max *= axis.scale.base();
+            } else {
+                let span = axis.isDate ? 86400000 : (Math.abs(min)*0.1 || 1);
+                min -= span;
+                max += span;
+            }
+        }
+        if(auto.padding) {
+            if(axis.isLog) {
+                let lmin = Math.log(min), 
+                    lmax = Math.log(max), 
+                    pad = auto.padding*(lmax - lmin);
+                min = Math.exp(lmin - pad);
+                max = Math.exp(lmax + pad);
+            } else {
+                let pad = auto.padding*(max - min);
+                // don't pad past zero when zero is the baseline
+                min = auto.zero && min === 0 ? 0 : min - pad;
+                max = auto.zero && max === 0 ? 0 : max + pad;
+            }
+        }
+        var domain = axis.isDate ? [new Date(min), new Date(max)] : [min, max];
+        if(auto.nice) {
+            domain = axis.scale.copy().domain(domain).nice().domain();
+        }
+        if(+domain[0] === +axis.min && +domain[1] === +axis.max) return false;
+        axis.min = domain[0];
+        axis.max = domain[1];
+        axis.scale.domain(domain);
+        return true;
+    };
+
+}
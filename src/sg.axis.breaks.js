@@ -0,0 +1,296 @@
+// symbols axis breaks may be marked with
+const BREAK_SYMBOLS = ["slash", "zigzag"];
+// pixel size of break symbols
+const SYMBOL_SIZE = 5;
+
+export default function(SimpleGraph) {
+
+    /*
+     * Parse break options (a single break or an array of breaks) into breaks sorted by domain. Breaks must be within
+     * the axis domain and may not overlap.
+     */
+    SimpleGraph.prototype._parseAxisBreaks = function(a, breakOptions) {
+        var axis = this[a], 
+            breaks = (Array.isArray(breakOptions) ? breakOptions : [breakOptions]).map(b => {
+                if(!b || !b.domain || b.domain.length !== 2) throw `Axis break requires domain of [start, end]: ${a}`;
+                let symbol = String(b.symbol || "slash").toLowerCase();
+                if(!~BREAK_SYMBOLS.indexOf(symbol)) throw `Unknown axis break symbol: ${b.symbol}`;
+                return {
+                    domain:   b.domain[0] <= b.domain[1] ? [b.domain[0], b.domain[1]] : [b.domain[1], b.domain[0]], 
+                    rangegap: b.rangegap || 0, 
+                    symbol:   symbol
+                };
+            }).sort((p, q) => p.domain[0] - q.domain[0]);
+        breaks.forEach((b, i) => {
+            if(b.domain[0] <= axis.min || b.domain[1] >= axis.max) throw `Axis break outside of axis domain: ${a}`;
+            if(i && b.domain[0] < breaks[i-1].domain[1]) throw `Overlapping axis breaks: ${a}`;
+        });
+        return breaks;
+    };
+
+    /*
+     * Whether value falls within (not on the edge of) any break of axis.
+     */
+    SimpleGraph.prototype._isInAxisBreak = function(axis, value) {
+        return !!axis.breaks && axis.breaks.some(b => value > b.domain[0] && value < b.domain[1]);
+    };
+
+    /*
+     * Get pixel range of axis with breaks, keeping the same pixels per unit across all valid parts of the domain.
+     * Returned from the start of the axis, so must be flipped for vertical axes.
+     */
+    SimpleGraph.prototype._getAxisBreakRange = function(a, span) {
+        var breaks = this[a].breaks, 
+            domain = this[a].scale.domain().map(d => +d), 
+            validspan = span - breaks.reduce((sum, b) => sum + b.rangegap, 0), 
+            validdomain = 0;
+        for(let i = 0; i < domain.length; i += 2) {
+            validdomain += domain[i+1] - domain[i];
+        }
+        var rangePerDomain = validspan / validdomain, 
+            range = [0];
+        for(let i = 1; i < domain.length; ++i) {
+            // odd intervals are valid parts of the domain, even intervals are the breaks between
+            range.push(range[i-1] + (i % 2 ? rangePerDomain*(domain[i] - domain[i-1]) : breaks[i/2-1].rangegap));
+        }
+        return range;
+    };
+
+    /*
+     * Mark breaks on drawn axes. The axis line is split across each break gap, with the gap marked by the break
+     * symbol, and any ticks within breaks are hidden.
+     */
+    SimpleGraph.prototype._drawAxisBreaks = function() {
+        var top = this._xAxisPosition === "top";
+        // direction of outer ticks (negative for axes on top or left)
+        [
+            ["x",  ".sg-xaxis",  top ? -1 : 1], 
+            ["x2", ".sg-x2axis", top ? 1 : -1], 
+            ["y",  ".sg-yaxis",  -1], 
+            ["y2", ".sg-y2axis", 1]
+        ].forEach(([a, selector, k]) => {
+            let g = this.svgGraph.select("g" + selector);
+            if(!this[a] || g.empty()) return;
+            g.selectAll(".sg-axis-break").remove();
+            g.selectAll(".tick").style("display", d => this._isInAxisBreak(this[a], d) ? "none" : null);
+            if(!this[a].breaks) return;
+
+            let horizontal = a[0] === "x", 
+                offset = this[a].axis.offset(), 
+                outer = k*this[a].axis.tickSizeOuter(), 
+                range = this[a].scale.range(), 
+                gaps = this._getAxisBreakGaps(this[a], offset), 
+                pt = (p, q) => horizontal ? `${p},${q}` : `${q},${p}`;
+            g.select(".domain").attr("d", 
+                `M${pt(+range[0] + offset, outer)}L${pt(+range[0] + offset, offset)}`
+                + gaps.map(gap => `L${pt(gap[0], offset)}M${pt(gap[1], offset)}`).join("")
+                + `L${pt(+range[range.length-1] + offset, offset)}L${pt(+range[range.length-1] + offset, outer)}`
+            );
+            let marks = g.selectAll(".sg-axis-break").data(this[a].breaks)
+                .enter().append("path")
+                  .attr("class", "sg-axis-break")
+                  .attr("d", (b, i) => this._getAxisBreakSymbol(b.symbol, gaps[i], offset, horizontal));
+            for(let style in this.axisStyles) {
+                marks.style(style, this.axisStyles[style]);
+            }
+            marks.style("fill", "none");
+        });
+    };
+
+    /*
+     * Mark breaks on drawn grid. Grid lines within breaks are hidden, and the edges of each break gap are drawn
+     * across the graph area (as zig-zag lines for the zigzag symbol).
+     */
+    SimpleGraph.prototype._drawGridBreaks = function() {
+        [
+            [".sg-grid-x", this._getGridXAxis(), true], 
+            [".sg-grid-y", this.y, false]
+        ].forEach(([selector, axis, horizontal]) => {
+            let g = this.svgGraph.select(selector);
+            if(g.empty()) return;
+            g.selectAll(".sg-grid-break").remove();
+            g.selectAll(".tick").style("display", d => this._isInAxisBreak(axis, d) ? "none" : null);
+            if(!axis.breaks) return;
+            // vertical grid lines are drawn upward from the bottom of the graph
+            let across = horizontal ? [0, -this.height] : [0, this.width], 
+                gaps = this._getAxisBreakGaps(axis, 0);
+            g.selectAll(".sg-grid-break").data(axis.breaks)
+                .enter().append("path")
+                  .attr("class", "sg-grid-break")
+                  .attr("d", (b, i) => (
+                      this._getBreakEdgePath(b.symbol, gaps[i][0], across, horizontal)
+                      + this._getBreakEdgePath(b.symbol, gaps[i][1], across, horizontal)
+                  ))
+                  .style("fill", "none");
+        });
+    };
+
+    /*
+     * Get pixel positions of start and end of each break on axis.
+     */
+    SimpleGraph.prototype._getAxisBreakGaps = function(axis, offset) {
+        return axis.breaks.map(b => [axis.scale(b.domain[0]) + offset, axis.scale(b.domain[1]) + offset]);
+    };
+
+    /*
+     * Get path of break symbol on axis line across break gap. Slashes mark both ends of the gap, while a zig-zag
+     * bridges the gap.
+     */
+    SimpleGraph.prototype._getAxisBreakSymbol = function(symbol, gap, at, horizontal) {
+        var pt = (p, q) => horizontal ? `${p},${q}` : `${q},${p}`, 
+            s = SYMBOL_SIZE;
+        if(symbol === "zigzag") {
+            let w = gap[1] - gap[0];
+            return `M${pt(gap[0], at)}L${pt(gap[0] + 0.25*w, at - s)}L${pt(gap[0] + 0.75*w, at + s)}`
+                + `L${pt(gap[1], at)}`;
+        }
+        return gap.map(p => `M${pt(p - 0.5*s, at + s)}L${pt(p + 0.5*s, at - s)}`).join("");
+    };
+
+    /*
+     * Get path of edge of break gap across the graph area, as a straight line or, for the zigzag symbol, a zig-zag.
+     */
+    SimpleGraph.prototype._getBreakEdgePath = function(symbol, p, across, horizontal) {
+        var pt = (q, r) => horizontal ? `${q},${r}` : `${r},${q}`, 
+            path = `M${pt(p, across[0])}`;
+        if(symbol === "zigzag") {
+            let steps = Math.max(2, Math.round(Math.abs(across[1] - across[0]) / (2*SYMBOL_SIZE))), 
+                step = (across[1] - across[0]) / steps;
+            for(let i = 1; i < steps; ++i) {
+                path += `L${pt(p + (i % 2 ? 0.5 : -0.5)*SYMBOL_SIZE, across[0] + i*step)}`;
+            }
+        }
+        return path + `L${pt(p, across[1])}`;
+    };
+
+    /*
+     * Split line segments where they cross into axis breaks, removing the parts within breaks so lines are not drawn
+     * across the break gaps. Breaks on the x-axis only may be split at, for lines bounding areas (as the two lines
+     * must be split at the same x-values to be paired into area polygons, which are then split at y-axis breaks).
+     */
+    SimpleGraph.prototype._splitSegmentsAtBreaks = function(segments, y2Axis, x2Axis, xBreaksOnly) {
+        var xAxis = x2Axis ? this.x2 : this.x, 
+            yAxis = y2Axis ? this.y2 : this.y, 
+            xBreaks = xAxis.breaks || [], 
+            yBreaks = (!xBreaksOnly && yAxis.breaks) || [];
+        if(!xBreaks.length && !yBreaks.length) return segments;
+
+        var hidden = c => this._isInAxisBreak(xAxis, c[0]) || (!xBreaksOnly && this._isInAxisBreak(yAxis, c[1])), 
+            // point along line between coordinates, keeping dates as dates
+            lerp = (c0, c1, t) => {
+                if(t <= 0) return c0;
+                if(t >= 1) return c1;
+                let x = +c0[0] + t*(c1[0] - c0[0]);
+                return [c0[0] instanceof Date ? new Date(x) : x, c0[1] + t*(c1[1] - c0[1])];
+            }, 
+            // fractions along line where it crosses break edges
+            crossings = (v0, v1, breaks) => {
+                let ts = [];
+                breaks.forEach(b => b.domain.forEach(edge => {
+                    if((v0 < edge) !== (v1 < edge) && v0 !== v1) ts.push((edge - v0) / (v1 - v0));
+                }));
+                return ts;
+            }, 
+            split = [];
+        segments.forEach(segment => {
+            let piece = [], 
+                flush = () => {
+                    if(piece.length > 1) split.push(piece);
+                    piece = [];
+                }, 
+                add = c => {
+                    let last = piece[piece.length-1];
+                    if(!last || +last[0] !== +c[0] || last[1] !== c[1]) piece.push(c);
+                };
+            for(let i = 1; i < segment.length; ++i) {
+                let c0 = segment[i-1], 
+                    c1 = segment[i], 
+                    ts = [0, 1]
+                        .concat(crossings(+c0[0], +c1[0], xBreaks), crossings(c0[1], c1[1], yBreaks))
+                        .sort((p, q) => p - q);
+                for(let j = 1; j < ts.length; ++j) {
+                    if(ts[j] === ts[j-1]) continue;
+                    if(hidden(lerp(c0, c1, 0.5*(ts[j-1] + ts[j])))) {
+                        flush();
+                    } else {
+                        add(lerp(c0, c1, ts[j-1]));
+                        add(lerp(c0, c1, ts[j]));
+                    }
+                }
+            }
+            flush();
+        });
+        return split;
+    };
+
+    /*
+     * Split area polygons (as coordinates of x-value and the y-values of both bounding lines) at y-axis breaks,
+     * removing the parts within breaks. Each polygon is cut into the parts within each valid interval of the y-axis
+     * domain, by clamping both bounding lines to the interval, with the parts where they meet (no area) removed.
+     */
+    SimpleGraph.prototype._splitAreaPolysAtBreaks = function(polys, y2Axis) {
+        var yAxis = y2Axis ? this.y2 : this.y, 
+            breaks = yAxis.breaks || [];
+        if(!breaks.length) return polys;
+
+        var edges = [], 
+            intervals = [];
+        breaks.forEach((b, i) => {
+            edges.push(b.domain[0], b.domain[1]);
+            intervals.push([i ? breaks[i-1].domain[1] : -Infinity, b.domain[0]]);
+        });
+        intervals.push([breaks[breaks.length-1].domain[1], Infinity]);
+
+        var lerp = (c0, c1, t) => {
+                if(t <= 0) return c0;
+                if(t >= 1) return c1;
+                let x = +c0[0] + t*(c1[0] - c0[0]);
+                return [c0[0] instanceof Date ? new Date(x) : x, c0[1] + t*(c1[1] - c0[1]), c0[2] + t*(c1[2] - c0[2])];
+            }, 
+            // fractions along polygon edge where either bounding line crosses break edges
+            crossings = (c0, c1) => {
+                let ts = [];
+                [1, 2].forEach(k => edges.forEach(edge => {
+                    if((c0[k] < edge) !== (c1[k] < edge) && c0[k] !== c1[k]) ts.push((edge - c0[k]) / (c1[k] - c0[k]));
+                }));
+                return ts;
+            }, 
+            clamp = (c, interval) => [
+                c[0], 
+                Math.max(interval[0], Math.min(interval[1], c[1])), 
+                Math.max(interval[0], Math.min(interval[1], c[2]))
+            ], 
+            split = [];
+        polys.forEach(poly => {
+            // add coordinates at crossings, so between coordinates neither line crosses into or out of an interval
+            let coords = [poly[0]];
+            for(let i = 1; i < poly.length; ++i) {
+                let ts = crossings(poly[i-1], poly[i]).sort((p, q) => p - q);
+                ts.concat([1]).forEach(t => {
+                    let c = lerp(poly[i-1], poly[i], t), 
+                        last = coords[coords.length-1];
+                    if(+last[0] !== +c[0] || last[1] !== c[1] || last[2] !== c[2]) coords.push(c);
+                });
+            }
+            intervals.forEach(interval => {
+                let part = [], 
+                    flush = () => {
+                        if(part.length > 1) split.push(part);
+                        part = [];
+                    };
+                for(let i = 1; i < coords.length; ++i) {
+                    let mid = clamp(lerp(coords[i-1], coords[i], 0.5), interval);
+                    if(mid[1] === mid[2]) {
+                        flush();
+                        continue;
+                    }
+                    if(!part.length) part.push(clamp(coords[i-1], interval));
+                    part.push(clamp(coords[i], interval));
+                }
+                flush();
+            });
+        });
+        return split;
+    };
+
+}
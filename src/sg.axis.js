@@ -5,6 +5,8 @@ export default function(SimpleGraph) {
         if(!axisOptions.x)      { axisOptions.x = {}; }
         if(!axisOptions.y)      { axisOptions.y = {}; }
         if(!axisOptions.styles) { axisOptions.styles = {}; }
+        // kept as given (with defaults filled in below) for serializing to spec
+        this._axisOptions = axisOptions;
         
         // default axis styles
         this.axisStyles                 = axisOptions.style;
@@ -14,12 +16,13 @@ export default function(SimpleGraph) {
         this.axisStyles.stroke          = this.axisStyles.stroke || "black";
         
         // loop per axis to remove redundancies
-        var axes = ["x", "y", "y2"];
+        var axes = ["x", "x2", "y", "y2"];
         axes.forEach(a => {
             // specific axis options
             if(!axisOptions[a]) {
-                // if no second y-axis, just skip
-                if(a === "y2") return;
+                // if no second x- or y-axis, just skip (clearing any second x-axis from previous options)
+                if(a === "x2") delete this.x2;
+                if(a === "x2" || a === "y2") return;
                 axisOptions[a] = {};
             }
             if(!axisOptions[a].scale) {
@@ -38,7 +41,7 @@ export default function(SimpleGraph) {
             if(scaleIsLog && !axisOptions[a].logBase) { axisOptions[a].logBase = 10; }
             
             this[a] = {
-                label: (axisOptions[a].label === null) ? (a === "x" ? "x-value" : "y-value") : axisOptions[a].label, 
+                label: (axisOptions[a].label === null) ? (a[0] === "x" ? "x-value" : "y-value") : axisOptions[a].label, 
                 isDate: scaleIsTime, 
                 isLog: scaleIsLog
             };
@@ -54,33 +57,34 @@ export default function(SimpleGraph) {
             
             this[a].min = axisOptions[a].min ? axisOptions[a].min : 0;
             this[a].max = axisOptions[a].max ? axisOptions[a].max : 100;
+            // auto-extent from data (not available for axis with break)
+            if(axisOptions[a].auto && !axisOptions[a].break) {
+                let auto = axisOptions[a].auto === true ? {} : axisOptions[a].auto;
+                this[a].auto = {
+                    padding: auto.padding || 0, 
+                    nice:    auto.nice !== false, 
+                    zero:    !!auto.zero, 
+                    samples: auto.samples || 100
+                };
+            }
             
             // create scale
             this[a].scale = axisOptions[a].scale();
             if(scaleIsLog) {
                 this[a].scale.base(axisOptions[a].logBase);
             }
-            let domain, range;
-            if(axisOptions[a].break) {
-                this[a].break = axisOptions[a].break;
-                domain = [
-                    this[a].min, 
-                    this[a].break.domain[0], 
-                    this[a].break.domain[1], 
-                    this[a].max
-                ];
-                let domain2 = !scaleIsTime ? domain : domain.map(x => x.getTime()), 
-                    span = a === "x" ? this.width : this.height;
-                range = a === "x" ? [0, 0, 0, span] : [span, 0, 0, 0];
-                let validspan = span - this[a].break.rangegap, 
-                    rangePerDomain = validspan / (domain2[1] - domain2[0] + domain2[3] - domain2[2]);
-                range[1] = rangePerDomain*(domain2[1] - domain2[0]);
-                range[2] = range[1] + this[a].break.rangegap;
+            let breaks = axisOptions[a].break ? this._parseAxisBreaks(a, axisOptions[a].break) : [];
+            if(breaks.length) {
+                this[a].breaks = breaks;
+                // for backwards compatibility
+                this[a].break = breaks[0];
+                this[a].scale.domain(
+                    [this[a].min].concat(...breaks.map(b => b.domain), [this[a].max])
+                );
             } else {
-                domain = [this[a].min, this[a].max];
-                range = a === "x" ? [0, this.width] : [this.height, 0];
+                this[a].scale.domain([this[a].min, this[a].max]);
             }
-            this[a].scale.domain(domain).range(range);
+            this._setAxisRange(a);
         
             // create axes
             let applySecondAxes = false;
@@ -90,6 +94,12 @@ export default function(SimpleGraph) {
                 this[a].axis = d3.axisBottom(this[a].scale);
                 this[a].axisTwo = d3.axisTop(this[a].scale);
                 this[a].gridAxis = d3.axisBottom(this[a].scale);
+            } else if(a === "x2") {
+                // second x-axis is drawn opposite the x-axis, so on top unless x-axis is
+                applySecondAxes = true;
+                this[a].axis = d3.axisTop(this[a].scale);
+                this[a].axisTwo = d3.axisBottom(this[a].scale);
+                this[a].gridAxis = d3.axisBottom(this[a].scale);
             } else if(a === "y2") {
                 this[a].axis = d3.axisRight(this[a].scale);
                 this[a].gridAxis = d3.axisRight(this[a].scale);
@@ -175,32 +185,74 @@ export default function(SimpleGraph) {
         this.yAxis = this.y.axis;
         this.yGridAxis = this.y.gridAxes;
         
+        // fit auto-extent axes to any existing data
+        this._fitAutoAxes();
+        
+        // any zoom is relative to the old axes, so restart it from the new domains
+        if(this._zoom) this._rebaseZoom();
+        
         // draw axes but also clear any drawn lines/points/areas as they'd now be off
         this.removeAll();
         this.drawAxes();
+        // annotations are only positioned by the axes, so can be kept
+        if(this._drawn.annotations) this.drawUpdateAnnotations();
+        this._emit("axisreset");
         
         return this;
     };
 
+    /*
+     * Set scale range of axis to graph dimensions. For axis with breaks, range is split to keep the same pixels per 
+     * unit on either side of each break.
+     */
+    SimpleGraph.prototype._setAxisRange = function(a) {
+        let horizontal = a === "x" || a === "x2", 
+            span = horizontal ? this.width : this.height, 
+            range;
+        if(this[a].breaks) {
+            range = this._getAxisBreakRange(a, span);
+            if(!horizontal) range = range.map(r => span - r);
+        } else {
+            range = horizontal ? [0, this.width] : [this.height, 0];
+        }
+        this[a].scale.range(range);
+    };
+
     SimpleGraph.prototype.drawAxes = function(labelPosition, xAxisPosition, axisLabelMargin) {
+        // reinserted so record keeps the draw order
+        delete this._drawn.axes;
+        this._drawn.axes = {
+            labelPosition:   labelPosition, 
+            xAxisPosition:   xAxisPosition, 
+            axisLabelMargin: axisLabelMargin
+        };
         if(!xAxisPosition) { 
             xAxisPosition = "bottom"; 
         } else {
             xAxisPosition = xAxisPosition.toLowerCase().trim();
             if(xAxisPosition !== "top") { xAxisPosition = "bottom"; }
         }
+        // second x-axis, if any, goes on the opposite side
         let xAxis, 
-            xAxisPosY = 0;
+            x2Axis = null, 
+            xAxisPosY = 0, 
+            x2AxisPosY = 0;
         if(xAxisPosition !== "top") {
             xAxis = this.x.axis;
             xAxisPosY = this.height;
+            if(this.x2) x2Axis = this.x2.axis;
         } else {
             xAxis = this.x.axisTwo;
+            if(this.x2) {
+                x2Axis = this.x2.axisTwo;
+                x2AxisPosY = this.height;
+            }
         }
         if(!axisLabelMargin) { axisLabelMargin = 0; }
+        this._xAxisPosition = xAxisPosition;
         
         // draw axes first without labels
-        this.svg.selectAll(".sg-xaxis, .sg-yaxis, .sg-y2axis, .sg-axis-label").remove();
+        this.svg.selectAll(".sg-xaxis, .sg-x2axis, .sg-yaxis, .sg-y2axis, .sg-axis-label").remove();
         let xAxisG = this.svgGraph.append("g")
                 .attr("class", "sg-xaxis")
                 .attr("transform", "translate(0," + xAxisPosY + ")")
@@ -208,6 +260,12 @@ export default function(SimpleGraph) {
                 // annoyingly d3 adds these after axis call so remove so they don't override svg style
                 .attr("font-size", null)
                 .attr("font-family", null), 
+            x2AxisG = !x2Axis ? null : this.svgGraph.append("g")
+                .attr("class", "sg-x2axis")
+                .attr("transform", "translate(0," + x2AxisPosY + ")")
+                .call(x2Axis)
+                .attr("font-size", null)
+                .attr("font-family", null), 
             yAxisG = this.svgGraph.append("g")
                 .attr("class", "sg-yaxis")
                 .call(this.y.axis)
@@ -222,26 +280,38 @@ export default function(SimpleGraph) {
         // for some reason ticks are by default invisible
         this.svgGraph.selectAll(".tick line").style("stroke", "#000");
         // add styles
-        let axes = this.svgGraph.selectAll(".sg-xaxis .domain, .sg-yaxis .domain, .sg-y2axis .domain");
+        let axes = this.svgGraph.selectAll(
+            ".sg-xaxis .domain, .sg-x2axis .domain, .sg-yaxis .domain, .sg-y2axis .domain"
+        );
         for(let style in this.axisStyles) {
             axes.style(style, this.axisStyles[style]);
         }
         
         // get size of ticks to know margin to place labels away if outside
-        let tickMargin = { x: 0, y: 0, y2: 0 };
+        let tickMargin = { x: 0, x2: 0, y: 0, y2: 0 }, 
+            self = this;
         this.svgGraph.selectAll(".sg-xaxis .tick").each(function() {
-            if(this.getBBox().height > tickMargin.x) {
-                tickMargin.x = this.getBBox().height;
+            let bbox = self._getBBox(this);
+            if(bbox.height > tickMargin.x) {
+                tickMargin.x = bbox.height;
+            }
+        });
+        this.svgGraph.selectAll(".sg-x2axis .tick").each(function() {
+            let bbox = self._getBBox(this);
+            if(bbox.height > tickMargin.x2) {
+                tickMargin.x2 = bbox.height;
             }
         });
         this.svgGraph.selectAll(".sg-yaxis .tick").each(function() {
-            if(this.getBBox().width > tickMargin.y) {
-                tickMargin.y = this.getBBox().width;
+            let bbox = self._getBBox(this);
+            if(bbox.width > tickMargin.y) {
+                tickMargin.y = bbox.width;
             }
         });
         this.svgGraph.selectAll(".sg-y2axis .tick").each(function() {
-            if(this.getBBox().width > tickMargin.y2) {
-                tickMargin.y2 = this.getBBox().width;
+            let bbox = self._getBBox(this);
+            if(bbox.width > tickMargin.y2) {
+                tickMargin.y2 = bbox.width;
             }
         });
         
@@ -251,6 +321,12 @@ export default function(SimpleGraph) {
                 x: 0.5*this.width,
                 y: (xAxisPosition === "top") ? -(tickMargin.x + axisLabelMargin) : (tickMargin.x + 10 + axisLabelMargin)
             }, 
+            x2LabelPos = {
+                a: 'middle', 
+                x: 0.5*this.width,
+                y: (xAxisPosition !== "top") 
+                    ? -(tickMargin.x2 + axisLabelMargin) : (tickMargin.x2 + 10 + axisLabelMargin)
+            }, 
             yLabelPos = {
                 a: 'middle', 
                 x: -0.5*this.height,
@@ -264,9 +340,11 @@ export default function(SimpleGraph) {
         // determine label position
         // split by keys
         let xparallel       = "center", 
+            x2parallel      = "center", 
             yparallel       = "center", 
             y2parallel      = "center", 
             xperpendicular  = "outside", 
+            x2perpendicular = "outside", 
             yperpendicular  = "outside", 
             y2perpendicular = "outside";
         if(labelPosition) {
@@ -281,6 +359,11 @@ export default function(SimpleGraph) {
                             xLabelPos.y =(xAxisPosition === "top") ? -(tickMargin.x + axisLabelMargin) : (tickMargin.x + 10 + axisLabelMargin);
                             xperpendicular = "outside";
                         }
+                        if(!axis || axis === "x2") {
+                            x2LabelPos.y = (xAxisPosition !== "top") 
+                                ? -(tickMargin.x2 + axisLabelMargin) : (tickMargin.x2 + 10 + axisLabelMargin);
+                            x2perpendicular = "outside";
+                        }
                         if(!axis || axis === "y") {
                             yLabelPos.y = -(tickMargin.y + 10 + axisLabelMargin);
                             yperpendicular = "outside";
@@ -295,6 +378,10 @@ export default function(SimpleGraph) {
                             xLabelPos.y = (xAxisPosition === "top") ? (14 + axisLabelMargin) : -(6 + axisLabelMargin);
                             xperpendicular = "inside";
                         }
+                        if(!axis || axis === "x2") {
+                            x2LabelPos.y = (xAxisPosition !== "top") ? (14 + axisLabelMargin) : -(6 + axisLabelMargin);
+                            x2perpendicular = "inside";
+                        }
                         if(!axis || axis === "y") {
                             yLabelPos.y = 5;
                             yperpendicular = "inside";
@@ -309,6 +396,11 @@ export default function(SimpleGraph) {
                             xLabelPos.x = 0.5*this.width;
                             xparallel = "center";
                         }
+                        if(!axis || axis === "x2") {
+                            x2LabelPos.a = 'middle';
+                            x2LabelPos.x = 0.5*this.width;
+                            x2parallel = "center";
+                        }
                         if(!axis || axis === "y") {
                             yLabelPos.a = 'middle';
                             yLabelPos.x = -0.5*this.height;
@@ -321,14 +413,28 @@ export default function(SimpleGraph) {
                         }
                         break;
                     case "left":
-                        xLabelPos.a = 'start';
-                        xLabelPos.x = 0;
-                        xparallel = "left";
+                        if(axis !== "x2") {
+                            xLabelPos.a = 'start';
+                            xLabelPos.x = 0;
+                            xparallel = "left";
+                        }
+                        if(!axis || axis === "x2") {
+                            x2LabelPos.a = 'start';
+                            x2LabelPos.x = 0;
+                            x2parallel = "left";
+                        }
                         break;
                     case "right":
-                        xLabelPos.a = 'end';
-                        xLabelPos.x = this.width;
-                        xparallel = "right";
+                        if(axis !== "x2") {
+                            xLabelPos.a = 'end';
+                            xLabelPos.x = this.width;
+                            xparallel = "right";
+                        }
+                        if(!axis || axis === "x2") {
+                            x2LabelPos.a = 'end';
+                            x2LabelPos.x = this.width;
+                            x2parallel = "right";
+                        }
                         break;
                     case "top":
                         if(!axis || axis === "y") {
@@ -384,6 +490,11 @@ export default function(SimpleGraph) {
                 }
             }
         }
+        // second x-axis label just kept clear of the y-axes
+        if(x2perpendicular === "inside") {
+            if(x2parallel === "left") x2LabelPos.x += 10;
+            if(x2parallel === "right" && this.y2) x2LabelPos.x -= 10;
+        }
         if(yperpendicular === "inside") {
             if(yparallel === "top") yLabelPos.x -= 5;
             if(yparallel === "bottom") yLabelPos.x += 5;
@@ -402,6 +513,16 @@ export default function(SimpleGraph) {
             .style("text-anchor", xLabelPos.a)
             .style("font-weight", "bolder")
             .text(this.x.label);
+        if(x2AxisG) {
+            x2AxisG.append("text")
+                .attr("class", "sg-axis-label sg-x2axis")
+                .attr("x", x2LabelPos.x)
+                .attr("y", x2LabelPos.y)
+                .attr("fill", "#000")
+                .style("text-anchor", x2LabelPos.a)
+                .style("font-weight", "bolder")
+                .text(this.x2.label);
+        }
         yAxisG.append("text")
             .attr("class", "sg-axis-label sg-yaxis")
             .attr("transform", "rotate(-90)")
@@ -424,7 +545,43 @@ export default function(SimpleGraph) {
                 .style("font-weight", "bolder")
                 .text(this.y2.label);
         }
+        this._drawAxisBreaks();
         
         return this;
     };
+
+    /*
+     * Update ticks on already drawn axes in place (keeping labels and draw order), for when only the scale domains 
+     * have changed.
+     */
+    SimpleGraph.prototype._updateAxes = function() {
+        let xAxis = this._xAxisPosition === "top" ? this.x.axisTwo : this.x.axis;
+        this.svgGraph.select(".sg-xaxis").call(xAxis)
+            .attr("font-size", null)
+            .attr("font-family", null);
+        if(this.x2) {
+            this.svgGraph.select(".sg-x2axis").call(this._xAxisPosition === "top" ? this.x2.axisTwo : this.x2.axis)
+                .attr("font-size", null)
+                .attr("font-family", null);
+        }
+        this.svgGraph.select(".sg-yaxis").call(this.y.axis)
+            .attr("font-size", null)
+            .attr("font-family", null);
+        if(this.y2) {
+            this.svgGraph.select(".sg-y2axis").call(this.y2.axis)
+                .attr("font-size", null)
+                .attr("font-family", null);
+        }
+        this.svgGraph.selectAll(
+            ".sg-xaxis .tick line, .sg-x2axis .tick line, .sg-yaxis .tick line, .sg-y2axis .tick line"
+        ).style("stroke", "#000");
+        let axes = this.svgGraph.selectAll(
+            ".sg-xaxis .domain, .sg-x2axis .domain, .sg-yaxis .domain, .sg-y2axis .domain"
+        );
+        for(let style in this.axisStyles) {
+            axes.style(style, this.axisStyles[style]);
+        }
+        this._drawAxisBreaks();
+        return this;
+    };
 }
\ No newline at end of file
@@ -0,0 +1,190 @@
+export default function(SimpleGraph, d3) {
+
+    SimpleGraph.prototype.enableBrush = function(options) {
+        this.disableBrush();
+        options = options || {};
+        let mode = (options.mode || "xy").toLowerCase(), 
+            extent = [[0, 0], [this.width, this.height]];
+
+        this._brush = {
+            mode:      mode === "x" ? "x" : "xy", 
+            select:    options.select || null, 
+            live:      !!options.live, 
+            highlight: options.highlight || false, 
+            behavior:  (mode === "x" ? d3.brushX() : d3.brush()).extent(extent)
+        };
+
+        // inserted beneath drawn data so as not to block any tooltips
+        let brushG = this.svgGraph.insert("g", ":first-child").attr("class", "sg-brush");
+        this._brush.behavior.on(
+            this._brush.live ? "brush.sg-brush end.sg-brush" : "end.sg-brush", 
+            evt => {
+                // ignore programmatic moves, except clearing (from clearBrush()) which clears the selection
+                if(!evt.sourceEvent && evt.selection) return;
+                this._onBrushSelection(evt.selection);
+            }
+        );
+        brushG.call(this._brush.behavior);
+
+        return this;
+    };
+
+    SimpleGraph.prototype.disableBrush = function() {
+        if(!this._brush) return this;
+        this.svgGraph.selectAll(".sg-brush").remove();
+        this._brush = null;
+        return this;
+    };
+
+    SimpleGraph.prototype.clearBrush = function() {
+        if(!this._brush) return this;
+        this.svgGraph.select(".sg-brush").call(this._brush.behavior.move, null);
+        return this;
+    };
+
+    SimpleGraph.prototype.getDataInRange = function(xRange, yRange, y2Range, x2Range) {
+        xRange  = xRange || [this.x.min, this.x.max];
+        yRange  = yRange || [this.y.min, this.y.max];
+        y2Range = y2Range || (this.y2 ? [this.y2.min, this.y2.max] : null);
+        x2Range = x2Range || (this.x2 ? [this.x2.min, this.x2.max] : null);
+        return this._cloneDataInRange(this._getDataInRange(xRange, yRange, y2Range, x2Range));
+    };
+
+    SimpleGraph.prototype._cloneDataInRange = function(found) {
+        return {
+            points:     found.points.map(d => this._clonePointData(d)), 
+            lines:      found.lines.map(f => Object.assign(this._cloneLineData(f.data), {segments: f.segments})), 
+            pointLines: found.pointLines.map(f => Object.assign(this._cloneLineData(f.data), {segments: f.segments})), 
+            areas:      found.areas.map(f => Object.assign(this._cloneAreaData(f.data), {parts: f.parts})), 
+            bars:       found.bars.map(d => this._cloneBarData(d))
+        };
+    };
+
+    /*
+     * Get data (as the original data objects) within given range. Lines and areas are returned with the segments or
+     * polygon parts that fall within range, clipped in the same way drawing clips to the graph bounds.
+     */
+    SimpleGraph.prototype._getDataInRange = function(xRange, yRange, y2Range, x2Range) {
+        let sortRange = r => r && (r[0] > r[1] ? [r[1], r[0]] : [r[0], r[1]]);
+        xRange  = sortRange(xRange);
+        yRange  = sortRange(yRange);
+        y2Range = sortRange(y2Range);
+        x2Range = sortRange(x2Range);
+        // clipping functions read bounds from axes, so run them on a view with the axes bounds swapped for range
+        let view = Object.create(this);
+        view.x = Object.assign({}, this.x, {min: xRange[0], max: xRange[1]});
+        view.y = Object.assign({}, this.y, {min: yRange[0], max: yRange[1]});
+        if(this.y2 && y2Range) {
+            view.y2 = Object.assign({}, this.y2, {min: y2Range[0], max: y2Range[1]});
+        }
+        if(this.x2 && x2Range) {
+            view.x2 = Object.assign({}, this.x2, {min: x2Range[0], max: x2Range[1]});
+        }
+        let resolution = this._drawn.lines ? this._drawn.lines.resolution : 20, 
+            found = {points: [], lines: [], pointLines: [], areas: [], bars: []}, 
+            inRange = d => {
+                if((!d.x && d.x !== 0) || isNaN(d.x) || isNaN(d.y)) return false;
+                let xAxis = d.x2 ? view.x2 : view.x, 
+                    yAxis = d.y2 ? view.y2 : view.y;
+                if(!xAxis || !yAxis) return false;
+                return d.x >= xAxis.min && d.x <= xAxis.max && d.y >= yAxis.min && d.y <= yAxis.max;
+            };
+
+        if(this.points) found.points = this.points.filter(d => inRange(d) && !this._isSeriesHidden(d.series, "points"));
+        if(this.bars) found.bars = this.bars.filter(d => inRange(d) && !this._isSeriesHidden(d.series, "bars"));
+        let getLineSegments = line => {
+            if((line.y2 && !view.y2) || (line.x2 && !view.x2)) return null;
+            let segments = line.lineFunction
+                ? view._getLineSegmentsFromFunction(
+                    line.lineFunction, resolution, line.xRange, line.y2, true, line.x2
+                )
+                : view._getLineSegmentsFromCoordinates(line.coords, line.y2, line.x2);
+            segments = segments.filter(s => s && s.length >= 2);
+            return segments.length ? segments : null;
+        };
+        ["lines", "pointLines"].forEach(key => {
+            if(!this[key]) return;
+            // point-lines are hidden with their points series
+            let type = key === "lines" ? "lines" : "points";
+            this[key].forEach(line => {
+                if(this._isSeriesHidden(line.series, type)) return;
+                let segments = getLineSegments(line);
+                if(segments) found[key].push({data: line, segments: segments});
+            });
+        });
+        if(this.areas) {
+            this.areas.forEach(area => {
+                if((area.y2 && !view.y2) || (area.x2 && !view.x2)) return;
+                if(this._isSeriesHidden(area.series, "areas")) return;
+                let parts = area.functions
+                    ? view._getAreasPolysFromFunctions(
+                        area.functions[0], area.functions[1], area.resolution, area.xRange, area.y2, true, area.x2
+                    )
+                    : view._getAreaPolysFromCoordinates(area.coords, area.y2, area.x2);
+                parts = parts.filter(p => p && p.length >= 2);
+                if(parts.length) found.areas.push({data: area, parts: parts});
+            });
+        }
+        return found;
+    };
+
+    SimpleGraph.prototype._onBrushSelection = function(selection) {
+        let brush = this._brush;
+        if(brush.highlight) this.removeHighlights();
+        if(!selection) {
+            if(brush.select) brush.select(null, null);
+            return;
+        }
+
+        // invert pixel selection to axes domains
+        let px = brush.mode === "x" ? [selection[0], selection[1]] : [selection[0][0], selection[1][0]], 
+            py = brush.mode === "x" ? [this.height, 0] : [selection[1][1], selection[0][1]], 
+            range = {
+                x: px.map(p => this.x.scale.invert(p)), 
+                y: py.map(p => this.y.scale.invert(p))
+            };
+        if(this.y2) range.y2 = py.map(p => this.y2.scale.invert(p));
+        if(this.x2) range.x2 = px.map(p => this.x2.scale.invert(p));
+        let found = this._getDataInRange(range.x, range.y, range.y2, range.x2);
+
+        if(brush.highlight) {
+            let hlOptions = brush.highlight === true ? {} : brush.highlight, 
+                getFilter = (data, userFilter) => {
+                    let match = new Set(data);
+                    return (d, element) => (
+                        match.has(d3.select(element).datum()) && (!userFilter || userFilter(d, element))
+                    );
+                };
+            if(found.points.length) {
+                let opts = Object.assign({}, hlOptions.points);
+                opts.filter = getFilter(found.points, opts.filter);
+                this.highlightPoints(opts);
+            }
+            if(found.lines.length) {
+                let opts = Object.assign({}, hlOptions.lines);
+                opts.filter = getFilter(found.lines.map(f => f.data), opts.filter);
+                this.highlightLines(opts);
+            }
+            if(found.pointLines.length) {
+                let opts = Object.assign({}, hlOptions.pointLines || hlOptions.lines);
+                opts.filter = getFilter(found.pointLines.map(f => f.data), opts.filter);
+                this._highlightLineElements(this.svgGraph.selectAll(".sg-point-line"), opts);
+            }
+            if(found.areas.length) {
+                let opts = Object.assign({}, hlOptions.areas);
+                opts.filter = getFilter(found.areas.map(f => f.data), opts.filter);
+                this.highlightAreas(opts);
+            }
+            if(found.bars.length) {
+                let opts = Object.assign({}, hlOptions.bars);
+                opts.filter = getFilter(found.bars, opts.filter);
+                this.highlightBars(opts);
+            }
+        }
+
+        if(brush.select) {
+            brush.select(this._cloneDataInRange(found), range);
+        }
+    };
+
+}
@@ -46,6 +46,20 @@ export default function(SimpleGraph) {
                 }
             }
         }
+        if(this.bars) {
+            let bar;
+            for(let b in this.bars) {
+                bar = this.bars[b];
+                if(name === bar.series) {
+                    if(bar.style && bar.style.fill) {
+                        return bar.style.fill;
+                    } else {
+                        if(create) { return this.color(name); }
+                        return (this.color.domain().indexOf(name) >= 0) ? this.color(name) : null;
+                    }
+                }
+            }
+        }
         if(create) return this.color(name);
         return null;
     };
@@ -56,17 +70,21 @@ export default function(SimpleGraph) {
         } else {
             this.color.domain([]);
         }
+        this._syncLegend();
         return this;
     };
 
     SimpleGraph.prototype.setSeriesColor = function(series, color) {
         this.customColors[series] = color;
+        this._syncLegend();
+        return this;
     };
 
     SimpleGraph.prototype.removeSeriesColor = function(series) {
         if(this.customColors[series]) {
             delete this.customColors[series];
         };
+        this._syncLegend();
         return this;
     };
 }
\ No newline at end of file
@@ -0,0 +1,306 @@
+export default function(SimpleGraph, d3) {
+
+    SimpleGraph.prototype.enableCrosshair = function(options) {
+        this.disableCrosshair();
+        options = options || {};
+
+        this._crosshair = {
+            mode:       (options.mode || "x").toLowerCase() === "xy" ? "xy" : "x", 
+            radius:     (options.radius || options.radius === 0) ? options.radius : null, 
+            text:       options.text || null, 
+            offset:     options.offset || [15, 15], 
+            style:      options.style || null, 
+            markerSize: options.markerSize || 8, 
+            tooltipDiv: null
+        };
+
+        // capture layer so mouse events register anywhere in graph area (inserted below all drawn data)
+        this.svgGraph.insert("rect", ":first-child")
+            .attr("class", "sg-crosshair-capture")
+            .attr("x", 0)
+            .attr("y", 0)
+            .attr("width", this.width)
+            .attr("height", this.height)
+            .style("fill", "none")
+            .style("pointer-events", "all");
+        this.svgGraph.append("g")
+            .attr("class", "sg-crosshair")
+            .style("pointer-events", "none")
+            .style("display", "none");
+
+        // listen on graph node so events bubbling up from drawn elements (or other capture layers) still register
+        this.svgGraph
+            .on("mousemove.sg-crosshair", evt => this._onCrosshairMove(evt))
+            .on("mouseleave.sg-crosshair", () => this._hideCrosshair());
+
+        return this;
+    };
+
+    SimpleGraph.prototype.disableCrosshair = function() {
+        if(!this._crosshair) return this;
+        this._hideCrosshair();
+        this.svgGraph.on(".sg-crosshair", null);
+        this.svgGraph.selectAll(".sg-crosshair-capture, .sg-crosshair").remove();
+        this._crosshair = null;
+        return this;
+    };
+
+    SimpleGraph.prototype._hideCrosshair = function() {
+        if(!this._crosshair) return;
+        this.svgGraph.select(".sg-crosshair").style("display", "none");
+        if(this._crosshair.tooltipDiv) {
+            this._crosshair.tooltipDiv.remove();
+            this._crosshair.tooltipDiv = null;
+        }
+    };
+
+    /*
+     * Get drawn data as hover candidates, split as discrete coordinates (points and line vertices) and line functions.
+     */
+    SimpleGraph.prototype._getCrosshairCandidates = function() {
+        var inXBounds = (x, x2) => {
+                let xAxis = x2 ? this.x2 : this.x;
+                return !!xAxis && (x || x === 0) && !isNaN(x) && x >= xAxis.min && x <= xAxis.max;
+            }, 
+            candidates = {points: [], vertices: [], functions: []};
+        if(this._drawn.points && this.points) {
+            candidates.points = this.points.filter(d => (
+                inXBounds(d.x, d.x2) && !isNaN(d.y) && (!d.y2 || this.y2) && !this._isSeriesHidden(d.series, "points")
+            ));
+        }
+        ["lines", "pointLines"].forEach(key => {
+            if(!this._drawn[key] || !this[key]) return;
+            // point-lines are hidden with their points series
+            let type = key === "lines" ? "lines" : "points";
+            this[key].forEach(line => {
+                if((line.y2 && !this.y2) || (line.x2 && !this.x2)) return;
+                if(this._isSeriesHidden(line.series, type)) return;
+                if(line.lineFunction) {
+                    if(key === "lines") candidates.functions.push(line);
+                    return;
+                }
+                line.coords.forEach(c => {
+                    if(inXBounds(c[0], line.x2) && !isNaN(c[1])) {
+                        candidates.vertices.push({type: key, line: line, coord: c});
+                    }
+                });
+            });
+        });
+        return candidates;
+    };
+
+    SimpleGraph.prototype._getCrosshairLineValue = function(line, x) {
+        if(line.lineFunction) {
+            if(line.xRange && (x < line.xRange[0] || x > line.xRange[1])) return null;
+            let y = line.lineFunction(+x);
+            return isFinite(y) ? y : null;
+        }
+        // linearly interpolate between coordinates surrounding x-value
+        for(let i = 0; i < line.coords.length; ++i) {
+            let c = line.coords[i];
+            if(+c[0] === +x) return isNaN(c[1]) ? null : c[1];
+            if(i === 0) continue;
+            let p = line.coords[i-1], 
+                lo = Math.min(p[0], c[0]), 
+                hi = Math.max(p[0], c[0]);
+            if(x < lo || x > hi || isNaN(p[1]) || isNaN(c[1])) continue;
+            return p[1] + (c[1] - p[1])*(x - p[0])/(c[0] - p[0]);
+        }
+        return null;
+    };
+
+    /*
+     * Find hovered values at pixel position. In "x" mode, snaps to nearest x-value and collects every series value at
+     * it (for data on the other x-axis, at the same pixel position). In "xy" mode, finds the single nearest value.
+     */
+    SimpleGraph.prototype._getCrosshairValues = function(px, py) {
+        var candidates = this._getCrosshairCandidates(), 
+            radius = this._crosshair.radius, 
+            xScale = x2 => (x2 ? this.x2 : this.x).scale, 
+            cursorX = x2 => xScale(x2).invert(px), 
+            inYBounds = (y, y2) => {
+                let yAxis = y2 ? this.y2 : this.y;
+                return y !== null && y >= yAxis.min && y <= yAxis.max;
+            }, 
+            getPointValue = d => ({
+                series: d.series, type: "points", x: d.x, y: d.y, y2: d.y2, x2: d.x2, data: this._clonePointData(d)
+            }), 
+            getLineValue = (type, line, x, y) => ({
+                series: line.series, type: type, x: x, y: y, y2: line.y2, x2: line.x2, data: this._cloneLineData(line)
+            });
+
+        if(this._crosshair.mode === "xy") {
+            let nearest = null, 
+                minDist = Infinity, 
+                check = (x, y, y2, x2, getValue) => {
+                    if(!inYBounds(y, y2)) return;
+                    let dx = xScale(x2)(x) - px, 
+                        dy = (y2 ? this.y2 : this.y).scale(y) - py, 
+                        dist = Math.sqrt(dx*dx + dy*dy);
+                    if(dist < minDist) {
+                        minDist = dist;
+                        nearest = getValue;
+                    }
+                };
+            candidates.points.forEach(d => check(d.x, d.y, d.y2, d.x2, () => getPointValue(d)));
+            candidates.vertices.forEach(v => check(
+                v.coord[0], v.coord[1], v.line.y2, v.line.x2, 
+                () => getLineValue(v.type, v.line, v.coord[0], v.coord[1])
+            ));
+            candidates.functions.forEach(line => {
+                let x = cursorX(line.x2), 
+                    y = this._getCrosshairLineValue(line, x);
+                if(y !== null) check(x, y, line.y2, line.x2, () => getLineValue("lines", line, x, y));
+            });
+            if(!nearest || (radius !== null && minDist > radius)) return null;
+            let value = nearest();
+            return {x: value.x, x2: !!value.x2, values: [value]};
+        }
+
+        // snap to nearest discrete x-value, otherwise (if there are line functions) use cursor position
+        let snap = null, 
+            minDist = Infinity;
+        candidates.points.map(d => [d.x, !!d.x2])
+            .concat(candidates.vertices.map(v => [v.coord[0], !!v.line.x2]))
+            .forEach(c => {
+                let dist = Math.abs(xScale(c[1])(c[0]) - px);
+                if(dist < minDist) {
+                    minDist = dist;
+                    snap = c;
+                }
+            });
+        if(snap === null || (radius !== null && minDist > radius)) {
+            if(!candidates.functions.length) return null;
+            snap = [cursorX(false), false];
+        }
+        // snapped x-value on either x-axis
+        let snapPx = xScale(snap[1])(snap[0]), 
+            snapX = x2 => (!!x2 === snap[1] ? snap[0] : xScale(x2).invert(snapPx));
+
+        let values = [], 
+            found = new Set();
+        candidates.points.forEach(d => {
+            if(!inYBounds(d.y, d.y2)) return;
+            if(!!d.x2 === snap[1] ? +d.x !== +snap[0] : Math.abs(xScale(d.x2)(d.x) - snapPx) >= 0.5) return;
+            values.push(getPointValue(d));
+            found.add(d.series);
+        });
+        this._drawn.lines && this.lines && this.lines.forEach(line => {
+            if((line.y2 && !this.y2) || (line.x2 && !this.x2) || this._isSeriesHidden(line.series, "lines")) return;
+            let x = snapX(line.x2), 
+                y = this._getCrosshairLineValue(line, x);
+            if(inYBounds(y, line.y2)) values.push(getLineValue("lines", line, x, y));
+        });
+        // point-lines are only needed for series without a point at this x-value
+        this._drawn.pointLines && this.pointLines && this.pointLines.forEach(line => {
+            if(found.has(line.series) || (line.y2 && !this.y2) || (line.x2 && !this.x2)) return;
+            // point-lines are hidden with their points series
+            if(this._isSeriesHidden(line.series, "points")) return;
+            let x = snapX(line.x2), 
+                y = this._getCrosshairLineValue(line, x);
+            if(inYBounds(y, line.y2)) values.push(getLineValue("pointLines", line, x, y));
+        });
+        return values.length ? {x: snap[0], x2: snap[1], values: values} : null;
+    };
+
+    SimpleGraph.prototype._onCrosshairMove = function(evt) {
+        var pos = d3.pointer(evt, this.svgGraph.node()), 
+            found = pos[0] >= 0 && pos[0] <= this.width && pos[1] >= 0 && pos[1] <= this.height
+                ? this._getCrosshairValues(pos[0], pos[1])
+                : null;
+        if(!found) {
+            this._hideCrosshair();
+            return;
+        }
+
+        // draw crosshair and markers (raised so it stays above any data drawn after enabling)
+        var crosshair = this._crosshair, 
+            g = this.svgGraph.select(".sg-crosshair").style("display", null).raise(), 
+            cx = (found.x2 ? this.x2 : this.x).scale(found.x), 
+            getColor = d => {
+                // point data copy keeps the fields points may be color encoded by
+                let color = d.type === "points" ? this._getPointEncodedValue("color", d.data) : null;
+                if(color !== null) return color;
+                color = this.getColorBySeriesName(d.series, true);
+                return typeof color === "function" ? color(d.data) : color;
+            };
+        g.selectAll("*").remove();
+        g.append("line")
+            .attr("class", "sg-crosshair-x")
+            .attr("x1", cx)
+            .attr("x2", cx)
+            .attr("y1", 0)
+            .attr("y2", this.height)
+            .style("stroke", "#777")
+            .style("stroke-width", 1)
+            .style("stroke-dasharray", "3,3");
+        if(crosshair.mode === "xy") {
+            let cy = (found.values[0].y2 ? this.y2 : this.y).scale(found.values[0].y);
+            g.append("line")
+                .attr("class", "sg-crosshair-y")
+                .attr("x1", 0)
+                .attr("x2", this.width)
+                .attr("y1", cy)
+                .attr("y2", cy)
+                .style("stroke", "#777")
+                .style("stroke-width", 1)
+                .style("stroke-dasharray", "3,3");
+        }
+        g.selectAll(".sg-crosshair-marker").data(found.values).enter().append("circle")
+            .attr("class", "sg-crosshair-marker")
+            .attr("series", d => d.series)
+            .attr("cx", d => (d.x2 ? this.x2 : this.x).scale(d.x))
+            .attr("cy", d => (d.y2 ? this.y2 : this.y).scale(d.y))
+            .attr("r", 0.5*crosshair.markerSize)
+            .style("fill", getColor)
+            .style("stroke", "#fff")
+            .style("stroke-width", 1.5);
+
+        // combined tooltip
+        var tooltipText = crosshair.text
+            ? crosshair.text(found.values, found.x, pos)
+            : found.values.reduce((text, d) => (
+                text + `<br /><span style="color:${getColor(d)}">&#9679;</span> ${d.series}: `
+                     + (d.y2 ? this.y2 : this.y).format(d.y)
+            ), `<b>${(found.x2 ? this.x2 : this.x).format(found.x)}</b>`);
+        if(!tooltipText) {
+            if(crosshair.tooltipDiv) {
+                crosshair.tooltipDiv.remove();
+                crosshair.tooltipDiv = null;
+            }
+            return;
+        }
+        var d3Body = d3.select('body'), 
+            absMousePos = d3.pointer(evt, d3Body.node());
+        if(!crosshair.tooltipDiv) {
+            // Clean up lost tooltips
+            d3Body.selectAll('.sg-tooltip').remove();
+            crosshair.tooltipDiv = d3Body.append('div').attr('class', 'sg-tooltip sg-crosshair-tooltip');
+            let styles = {
+                'position': 'absolute', 
+                'z-index': 1001, 
+                'background-color': '#fff', 
+                'border': '1px solid #777', 
+                'border-radius': '4px', 
+                'padding': '4px 6px', 
+                'font-family': "'Century Gothic', CenturyGothic, Geneva, AppleGothic, sans-serif", 
+                'font-size': '12px', 
+                'pointer-events': 'none'
+            };
+            for(let styleKey in styles) {
+                crosshair.tooltipDiv.style(styleKey, styles[styleKey]);
+            }
+            // add custom styles if provided
+            if(crosshair.style) {
+                for(let styleKey in crosshair.style) {
+                    crosshair.tooltipDiv.style(styleKey, crosshair.style[styleKey]);
+                }
+            }
+        }
+        crosshair.tooltipDiv
+            .style('left', (absMousePos[0] + crosshair.offset[0])+'px')
+            .style('top', (absMousePos[1] + crosshair.offset[1])+'px')
+            .html(tooltipText);
+    };
+
+}
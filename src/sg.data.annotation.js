@@ -0,0 +1,118 @@
+// axes annotations may be placed on
+const AXES = ["x", "x2", "y", "y2"];
+// annotation properties that may be updated
+const UPDATABLE = [
+    "value", "from", "to", "x", "y", "dx", "dy", "text", "label", "style", "labelStyle", "arrowStyle", "draggable", 
+    "dragend"
+];
+
+export default function(SimpleGraph) {
+
+    SimpleGraph.prototype.addReferenceLine = function(axis, value, options) {
+        return this._addAnnotation("line", {axis: this._getAnnotationAxis(axis), value: value}, options);
+    };
+
+    SimpleGraph.prototype.addBand = function(axis, from, to, options) {
+        return this._addAnnotation("band", {axis: this._getAnnotationAxis(axis), from: from, to: to}, options);
+    };
+
+    SimpleGraph.prototype.addTextAnnotation = function(x, y, text, options) {
+        options = options || {};
+        return this._addAnnotation("text", {
+            x:          x, 
+            y:          y, 
+            x2:         !!options.x2, 
+            y2:         !!options.y2, 
+            text:       (text === null || typeof text === "undefined") ? "" : String(text), 
+            dx:         options.dx || 0, 
+            dy:         options.dy || 0, 
+            arrow:      !!options.arrow, 
+            arrowStyle: Object.assign({}, options.arrowStyle), 
+            anchor:     options.anchor || "middle"
+        }, options);
+    };
+
+    SimpleGraph.prototype._getAnnotationAxis = function(axis) {
+        axis = String(axis).toLowerCase();
+        if(!~AXES.indexOf(axis)) throw `Unknown annotation axis: ${axis}`;
+        return axis;
+    };
+
+    SimpleGraph.prototype._addAnnotation = function(type, annotation, options) {
+        this.annotations = this.annotations || [];
+        this._annotationCount = (this._annotationCount || 0) + 1;
+        options = options || {};
+        var id = (options.id === null || typeof options.id === "undefined") ? null : String(options.id);
+        if(id !== null && this.annotations.find(a => a.id === id)) throw `Annotation already exists: ${id}`;
+        this.annotations.push(Object.assign({
+            id:         id !== null ? id : "annotation-" + this._annotationCount, 
+            type:       type, 
+            label:      (options.label || options.label === 0) ? String(options.label) : null, 
+            style:      Object.assign({}, options.style), 
+            labelStyle: Object.assign({}, options.labelStyle), 
+            legend:     !!options.legend, 
+            draggable:  !!options.draggable, 
+            dragend:    typeof options.dragend === "function" ? options.dragend : null
+        }, annotation));
+        // annotations are identified by ID in place of series name
+        this._emitData("dataadd", "annotations", this.annotations[this.annotations.length-1].id);
+        return this;
+    };
+
+    SimpleGraph.prototype.updateAnnotation = function(id, update) {
+        var annotation = this._getAnnotation(id);
+        if(!annotation) return this;
+        UPDATABLE.forEach(k => {
+            if(!(k in update)) return;
+            if(k === "style" || k === "labelStyle" || k === "arrowStyle") {
+                annotation[k] = Object.assign({}, update[k]);
+            } else if(k === "text") {
+                annotation.text = String(update.text);
+            } else if(k === "draggable") {
+                annotation.draggable = !!update.draggable;
+            } else if(k === "dragend") {
+                annotation.dragend = typeof update.dragend === "function" ? update.dragend : null;
+            } else {
+                annotation[k] = update[k];
+            }
+        });
+        this._emitData("dataupdate", "annotations", annotation.id);
+        return this;
+    };
+
+    SimpleGraph.prototype.clearAnnotationsData = function(id) {
+        if(!this.annotations) return this;
+        if(id === null || typeof id === "undefined") {
+            this.annotations = null;
+        } else {
+            let ids = (Array.isArray(id) ? id : [id]).map(String);
+            this.annotations = this.annotations.filter(a => !~ids.indexOf(a.id));
+        }
+        this._emitData("dataclear", "annotations", id);
+        return this;
+    };
+
+    SimpleGraph.prototype.getAnnotations = function(id) {
+        if(!this.annotations) return [];
+        var annotations = this.annotations;
+        if(id !== null && typeof id !== "undefined") {
+            let ids = (Array.isArray(id) ? id : [id]).map(String);
+            annotations = annotations.filter(a => ~ids.indexOf(a.id));
+        }
+        return annotations.map(a => this._cloneAnnotation(a));
+    };
+
+    SimpleGraph.prototype._getAnnotation = function(id) {
+        return this.annotations ? this.annotations.find(a => a.id === String(id)) : null;
+    };
+
+    SimpleGraph.prototype._cloneAnnotation = function(annotation) {
+        var clone = Object.assign({}, annotation, {
+            style:      Object.assign({}, annotation.style), 
+            labelStyle: Object.assign({}, annotation.labelStyle)
+        });
+        if(annotation.arrowStyle) clone.arrowStyle = Object.assign({}, annotation.arrowStyle);
+        return clone;
+    };
+
+}
@@ -17,10 +17,12 @@ export default function(SimpleGraph, d3) {
             resolution:  null, 
             xRange:      null, 
             y2:          !!(options.y2Axis || options.y2), 
+            x2:          !!(options.x2Axis || options.x2), 
             style:       options.style || {}, 
             interpolate: options.interpolation || d3.curveLinear, 
             _bind:       {coords: areaCoordinates, style: style}
         });
+        this._emitData("dataadd", "areas", series === null ? "" : series);
         return this;
     };
 
@@ -41,13 +43,118 @@ export default function(SimpleGraph, d3) {
             coords:      null, 
             xRange:      xRange ? [...xRange] : null, 
             y2:          !!(options.y2Axis || options.y2), 
+            x2:          !!(options.x2Axis || options.x2), 
             style:       options.style || {}, 
             interpolate: options.interpolation || d3.curveLinear, 
             _bind:       {xRange: xRange, style: style}
         });
+        this._emitData("dataadd", "areas", series === null ? "" : series);
         return this;
     };
 
+    SimpleGraph.prototype.addStackedAreas = function(stack, data, xKey, yKeys, options) {
+        if(!data || !data.length || !yKeys) return this;
+        options = options || {};
+        yKeys = Array.isArray(yKeys) ? yKeys : [yKeys];
+        this._setAreaStack(stack, options);
+        yKeys.forEach(key => {
+            this._addStackedArea(
+                stack, 
+                key, 
+                data.map(d => [d[xKey], d[key]]).filter(v => v[0] !== null && typeof v[0] !== "undefined"), 
+                options
+            );
+        });
+        this._stackAreas(stack);
+        this._emitData("dataadd", "areas", yKeys);
+        return this;
+    };
+
+    /*
+     * Stack offset and order are shared by all layers of the stack, but may be changed by any call adding to it.
+     */
+    SimpleGraph.prototype._setAreaStack = function(stack, options) {
+        this._areaStacks = this._areaStacks || {};
+        var stackOptions = this._areaStacks[stack] || {offset: "zero", order: null};
+        if(options.offset) stackOptions.offset = options.offset;
+        if(options.order) stackOptions.order = options.order;
+        // validate
+        this._getStackOffset(stackOptions.offset);
+        this._getStackOrder(stackOptions);
+        this._areaStacks[stack] = stackOptions;
+    };
+
+    SimpleGraph.prototype._addStackedArea = function(stack, series, values, options) {
+        var style = {};
+        if(options.style) {
+            for(let k in options.style) {
+                style[k] = options.style[k];
+            }
+        }
+        this.areas = this.areas || [];
+        this.areas.push({
+            series:      (series === null) ? "" : String(series), 
+            functions:   null, 
+            coords:      [], 
+            resolution:  null, 
+            xRange:      null, 
+            y2:          !!(options.y2Axis || options.y2), 
+            x2:          !!(options.x2Axis || options.x2), 
+            style:       options.style || {}, 
+            interpolate: options.interpolation || d3.curveLinear, 
+            stack:       String(stack), 
+            values:      values.map(v => [...v]), 
+            _bind:       {style: style}
+        });
+    };
+
+    SimpleGraph.prototype._getStackOffset = function(offset) {
+        var name = offset === "zero" ? "none" : offset, 
+            key = "stackOffset" + name.charAt(0).toUpperCase() + name.slice(1);
+        if(typeof d3[key] !== "function") throw `Unknown stack offset: ${offset}`;
+        return d3[key];
+    };
+
+    SimpleGraph.prototype._getStackOrder = function(stackOptions) {
+        // streamgraphs are least wiggly with the largest layers inside
+        var name = stackOptions.order || (stackOptions.offset === "wiggle" ? "insideOut" : "none"), 
+            key = "stackOrder" + name.charAt(0).toUpperCase() + name.slice(1);
+        if(typeof d3[key] !== "function") throw `Unknown stack order: ${name}`;
+        return d3[key];
+    };
+
+    /*
+     * Recalculate coordinates of all areas in stack from their values. Layers are stacked over the union of their 
+     * x-values, with missing or null values as zero.
+     */
+    SimpleGraph.prototype._stackAreas = function(stack) {
+        var layers = (this.areas || []).filter(area => area.stack === stack);
+        if(!layers.length) {
+            if(this._areaStacks) delete this._areaStacks[stack];
+            return;
+        }
+        var stackOptions = this._areaStacks[stack], 
+            xValues = new Map(), 
+            lookups = layers.map(area => {
+                let lookup = new Map();
+                area.values.forEach(v => {
+                    xValues.set(+v[0], v[0]);
+                    lookup.set(+v[0], v[1]);
+                });
+                return lookup;
+            }), 
+            rows = [...xValues.keys()].sort((a, b) => a - b).map(x => xValues.get(x)), 
+            stacked = d3.stack()
+                .keys(layers.map((area, i) => i))
+                .value((x, i) => +lookups[i].get(+x) || 0)
+                .offset(this._getStackOffset(stackOptions.offset))
+                .order(this._getStackOrder(stackOptions))
+                (rows);
+        layers.forEach((area, i) => {
+            area.coords = stacked[i].map(s => [s.data, s[0], s[1]]);
+        });
+    };
+
     SimpleGraph.prototype._getAreaData = function(series, index) {
         if(!this.areas) return [];
         var areas = this.areas.filter(d => d.series === series)
@@ -66,8 +173,11 @@ export default function(SimpleGraph, d3) {
             coords:      d.coords ? d.coords.map(c => [...c]) : null, 
             xRange:      d.xRange ? [...d.xRange] : null, 
             y2:          d.y2, 
+            x2:          d.x2, 
             style:       d.style, 
-            interpolate: d.interpolate
+            interpolate: d.interpolate, 
+            stack:       d.stack || null, 
+            values:      d.values ? d.values.map(v => [...v]) : null
         };
     };
 
@@ -76,8 +186,15 @@ export default function(SimpleGraph, d3) {
     };
 
     SimpleGraph.prototype.updateAreaData = function(series, index, update) {
+        var stacks = new Set();
         this._getAreaData(series, index).forEach(area => {
-            if(update.lineFunctionTop || update.functionTop || update.lineFunctionBottom || update.functionBottom) {
+            if(area.stack) {
+                // stacked areas are only updated by values, as coordinates are calculated from stack
+                if(update.values) {
+                    area.values = update.values.map(v => [...v]);
+                    stacks.add(area.stack);
+                }
+            } else if(update.lineFunctionTop || update.functionTop || update.lineFunctionBottom || update.functionBottom) {
                 area.functions = [
                     update.lineFunctionBottom || update.functionBottom || (area.functions && area.functions[0]), 
                     update.lineFunctionTop || update.functionTop || (area.functions && area.functions[1])
@@ -112,17 +229,29 @@ export default function(SimpleGraph, d3) {
                 }
             }
         });
+        stacks.forEach(stack => this._stackAreas(stack));
+        this._emitData("dataupdate", "areas", series, {index: index});
         return this;
     };
     
     SimpleGraph.prototype.clearAreasData = function(series) {
         if(series === null || typeof series === "undefined") {
             this.areas = null;
-        } else if(Array.isArray(series)) {
-            this.areas = this.areas.filter(d => ~series.indexOf(d.series));
-        } else {
-            this.areas = this.areas.filter(d => d.series !== series);
+            this._areaStacks = {};
+            this._emitData("dataclear", "areas", null);
+            return this;
         }
+        if(!this.areas) return this;
+        series = Array.isArray(series) ? series : [series];
+        var stacks = new Set();
+        this.areas = this.areas.filter(d => {
+            if(!~series.indexOf(d.series)) return true;
+            if(d.stack) stacks.add(d.stack);
+            return false;
+        });
+        // remaining layers of stacks are restacked without the cleared
+        stacks.forEach(stack => this._stackAreas(stack));
+        this._emitData("dataclear", "areas", series);
         return this;
     };
 
@@ -142,6 +271,7 @@ export default function(SimpleGraph, d3) {
                 }
             }
         });
+        this._emitData("dataupdate", "areas", null);
         return this;
     };
     
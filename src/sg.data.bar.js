@@ -0,0 +1,161 @@
+export default function(SimpleGraph) {
+
+    SimpleGraph.prototype.addBarData = function(series, xValue, yValue, options) {
+        this.bars = this.bars || [];
+        series = (series === null) ? "" : String(series);
+        options = options || {};
+
+        this.bars.push({
+            series: series, 
+            x:      xValue, 
+            y:      parseFloat(yValue), 
+            y2:     !!(options.y2Axis || options.y2), 
+            x2:     !!(options.x2Axis || options.x2), 
+            style:  this._getBarStyle(options.style), 
+            _bind:  null, 
+            _keys:  null
+        });
+        this._emitData("dataadd", "bars", series);
+
+        return this;
+    };
+
+    SimpleGraph.prototype.addBarsData = function(data, seriesName, xValueName, yValueName, options) {
+        if(!data || data.length === 0) return this;
+        this.bars = this.bars || [];
+        options = options || {};
+        options.y2Axis = !!(options.y2Axis || options.y2);
+        options.x2Axis = !!(options.x2Axis || options.x2);
+        options.additionalDataKeys = options.additionalDataKeys || null;
+        var style = this._getBarStyle(options.style), 
+            added = new Set();
+
+        data.forEach((d, i) => {
+            // get data series name, if it exists, otherwise assume seriesName is series name
+            let snIsIn = !options.forceSeriesName && !options.forceSeries && (seriesName in d) && d[seriesName], 
+                series = snIsIn ? d[seriesName] : ((!seriesName && seriesName !== 0) ? i : seriesName);
+            series = (series === null) ? "" : String(series);
+            let bar = {
+                series: series, 
+                x:      d[xValueName], 
+                y:      parseFloat(d[yValueName]), 
+                y2:     options.y2Axis, 
+                x2:     options.x2Axis, 
+                style:  style, 
+                _bind:  d, 
+                _keys:  {
+                    x: xValueName, 
+                    y: yValueName, 
+                    additional: null
+                }
+            };
+            if(snIsIn) bar._keys.series = seriesName;
+            // additonal keys
+            if(options.additionalDataKeys && Array.isArray(options.additionalDataKeys)) {
+                let addKeys = [];
+                options.additionalDataKeys.forEach((key) => {
+                    let name = key, 
+                        t = 1;
+                    // if key exists (name, x, y are reserved), adjust key name
+                    while(name in bar) {
+                        name = key + String(++t);
+                    }
+                    addKeys.push({key: key, name: name})
+                    bar[name] = d[key];
+                });
+                bar._keys.additional = addKeys;
+            }
+            this.bars.push(bar);
+            added.add(series);
+        });
+        this._emitData("dataadd", "bars", [...added]);
+
+        return this;
+    };
+
+    SimpleGraph.prototype._getBarStyle = function(style) {
+        var copy = {};
+        if(style) {
+            for(let k in style) {
+                copy[k] = style[k];
+            }
+        }
+        return copy;
+    };
+
+    SimpleGraph.prototype.clearBarsData = function(series) {
+        if(!this.bars) return this;
+        if(series === null || typeof series === "undefined") {
+            this.bars = null;
+        } else if(Array.isArray(series)) {
+            this.bars = this.bars.filter(d => !~series.indexOf(d.series));
+        } else {
+            this.bars = this.bars.filter(d => d.series !== series);
+        }
+        this._emitData("dataclear", "bars", series);
+        return this;
+    };
+
+    SimpleGraph.prototype._getBarData = function(series, index) {
+        if(!this.bars) return [];
+        var bars = this.bars.filter(d => d.series === series);
+        if(!bars || !bars.length) return [];
+        if(index || index === 0) {
+            while(index < 0) { index = bars.length + index; }
+            bars = [bars[index]];
+        }
+        return bars;
+    };
+
+    SimpleGraph.prototype._cloneBarData = function(d) {
+        let data = {
+            series: d.series, 
+            x:      d.x, 
+            y:      d.y, 
+            y2:     d.y2, 
+            x2:     d.x2, 
+            style:  d.style
+        };
+        if(d._keys) {
+            if(d._keys.x) data[d._keys.x] = d.x;
+            if(d._keys.y) data[d._keys.y] = d.y;
+            d._keys.additional && d._keys.additional.forEach(a => {
+                data[a.name] = d[a.name];
+            });
+        }
+        return data;
+    };
+
+    SimpleGraph.prototype.getBarsDataBySeries = function(series) {
+        return this._getBarData(series).map(d => this._cloneBarData(d));
+    };
+
+    SimpleGraph.prototype.updateBarsData = function(series, index, update) {
+        this._getBarData(series, index).forEach(bar => {
+            ['x', 'y', 'y2', 'x2'].forEach(k => {
+                if((k in update) && update[k] !== null && typeof update[k] !== "undefined") {
+                    bar[k] = update[k];
+                    if(bar._keys) delete bar._keys[k];
+                }
+            });
+            if(update.style) bar.style = this._getBarStyle(update.style);
+        });
+        this._emitData("dataupdate", "bars", series, {index: index});
+        return this;
+    };
+
+    SimpleGraph.prototype.syncBarsData = function() {
+        if(!this.bars) return this;
+        this.bars.forEach(d => {
+            if(!d._bind || !d._keys) return;
+            if('series' in d._keys) d.series = String(d._bind[d._keys.series]);
+            if('x' in d._keys) d.x = d._bind[d._keys.x];
+            if('y' in d._keys) d.y = parseFloat(d._bind[d._keys.y]);
+            if(!d._keys.additional) return;
+            d._keys.additional.forEach(a => d[a.name] = d._bind[a.key]);
+        });
+        this._emitData("dataupdate", "bars", null);
+        return this;
+    };
+
+}
@@ -0,0 +1,158 @@
+// values read as null by default
+const NULL_VALUES = ["", "NA", "N/A", "NaN", "null", "NULL"];
+
+export default function(SimpleGraph, d3) {
+
+    SimpleGraph.prototype.addPointsFromCsv = function(text, columns, options) {
+        options = options || {};
+        var csv = this._readCsv(text, columns, ["y"], options);
+        if(!csv) return this;
+        var pointOptions = Object.assign({}, options, {forceSeries: !csv.seriesColumn});
+        ["delimiter", "nullValues"].forEach(k => delete pointOptions[k]);
+
+        csv.layers.forEach(layer => {
+            let rows = csv.rows.map(row => {
+                let datum = Object.assign({}, row);
+                datum[layer.y] = csv.toY(row[layer.y]);
+                ["xError", "yError"].forEach(e => {
+                    let keys = options[e];
+                    if(!keys && keys !== 0) return;
+                    (Array.isArray(keys) ? keys : [keys]).forEach(k => datum[k] = csv.toNumber(row[k]));
+                });
+                return datum;
+            });
+            this.addPointsData(
+                rows, 
+                csv.seriesColumn || layer.series, 
+                csv.x, 
+                layer.y, 
+                // copy as options are modified when adding
+                Object.assign({}, pointOptions)
+            );
+        });
+        return this;
+    };
+
+    SimpleGraph.prototype.addLinesFromCsv = function(text, columns, options) {
+        options = options || {};
+        var csv = this._readCsv(text, columns, ["y"], options);
+        if(!csv) return this;
+
+        csv.layers.forEach(layer => {
+            this._groupCsvRows(csv, layer).forEach(group => {
+                // null values are kept as breaks in the line
+                let coords = group.rows.map(row => [row[csv.x], csv.toY(row[layer.y])]);
+                this.addLineDataAsCoordinates(group.series, coords, options);
+            });
+        });
+        return this;
+    };
+
+    SimpleGraph.prototype.addAreasFromCsv = function(text, columns, options) {
+        options = options || {};
+        var csv = this._readCsv(text, columns, ["y0", "y1"], options);
+        if(!csv) return this;
+
+        csv.layers.forEach(layer => {
+            this._groupCsvRows(csv, layer).forEach(group => {
+                let coords = group.rows
+                    .map(row => [row[csv.x], csv.toY(row[layer.y0]), csv.toY(row[layer.y1])])
+                    .filter(c => c[1] !== null && c[2] !== null);
+                this.addAreaAsCoordinates(group.series, coords, options);
+            });
+        });
+        return this;
+    };
+
+    /*
+     * Parse CSV text and resolve column mapping into layers of value columns. Value columns given as arrays are wide
+     * layout, where each column (or for areas, each pair of columns) is its own series, named by the column (or upper
+     * column). Otherwise long layout, where series are given by the series column or else named by the value column.
+     * If no value columns are given, all other columns are read as wide layout. X-values are coerced and rows without
+     * an x-value are dropped.
+     */
+    SimpleGraph.prototype._readCsv = function(text, columns, valueKeys, options) {
+        if(!text) return null;
+        columns = typeof columns === "string" ? {x: columns} : (columns || {});
+        var delimiter = options.delimiter || (/^[^\n]*\t/.test(text) && !/^[^\n]*,/.test(text) ? "\t" : ","), 
+            nullValues = options.nullValues || NULL_VALUES, 
+            rows = d3.dsvFormat(delimiter).parse(text), 
+            x = columns.x || rows.columns[0], 
+            csv = {
+                rows:         rows, 
+                x:            x, 
+                seriesColumn: columns.series || null, 
+                layers:       [], 
+                toNumber:     this._getCsvCoercer(null, nullValues), 
+                toY:          this._getCsvCoercer(options.y2Axis || options.y2 ? "y2" : "y", nullValues)
+            };
+        if(!~rows.columns.indexOf(x)) throw `CSV has no column: ${x}`;
+
+        var values = valueKeys.map(k => columns[k]);
+        if(values.some(v => !v)) {
+            if(valueKeys.length > 1) throw `Columns for ${valueKeys.join(", ")} must be specified`;
+            // all other columns, excluding those read for other purposes
+            let exclude = [x, columns.series].concat(options.additionalDataKeys || []);
+            ["xError", "yError"].forEach(k => {
+                if(options[k] || options[k] === 0) exclude = exclude.concat(options[k]);
+            });
+            values = [rows.columns.filter(c => !~exclude.indexOf(c))];
+        }
+        var wide = values.some(v => Array.isArray(v));
+        values = values.map(v => Array.isArray(v) ? v : [v]);
+        values.forEach(v => v.forEach(c => {
+            if(!~rows.columns.indexOf(c)) throw `CSV has no column: ${c}`;
+        }));
+        for(let i = 0; i < values[0].length; ++i) {
+            let layer = {series: values[values.length-1][i]};
+            valueKeys.forEach((k, j) => layer[k] = values[j][i]);
+            csv.layers.push(layer);
+        }
+        // series column only applies to long layout
+        if(wide) csv.seriesColumn = null;
+
+        var toX = this._getCsvCoercer(options.x2Axis || options.x2 ? "x2" : "x", nullValues);
+        csv.rows = rows.filter(row => {
+            row[x] = toX(row[x]);
+            return row[x] !== null;
+        });
+        return csv;
+    };
+
+    /*
+     * Group rows into series (in order of first appearance) by series column, otherwise as one series for the layer.
+     */
+    SimpleGraph.prototype._groupCsvRows = function(csv, layer) {
+        if(!csv.seriesColumn) return [{series: layer.series, rows: csv.rows}];
+        var groups = new Map();
+        csv.rows.forEach(row => {
+            let series = row[csv.seriesColumn];
+            if(!groups.has(series)) groups.set(series, {series: series, rows: []});
+            groups.get(series).rows.push(row);
+        });
+        return [...groups.values()];
+    };
+
+    /*
+     * Get function to coerce CSV string value for axis. Dates are parsed with the axis time format, falling back on
+     * ISO formats. Null tokens and unparseable values are returned as null.
+     */
+    SimpleGraph.prototype._getCsvCoercer = function(a, nullValues) {
+        var axis = a && this[a];
+        if(axis && axis.isDate) {
+            let options = this._axisOptions[a], 
+                parse = (options.scale === d3.scaleUtc ? d3.utcParse : d3.timeParse)(options.format);
+            return value => {
+                if(value === null || typeof value === "undefined" || ~nullValues.indexOf(value.trim())) return null;
+                let date = parse(value.trim()) || new Date(value.trim());
+                return isNaN(date) ? null : date;
+            };
+        }
+        return value => {
+            if(value === null || typeof value === "undefined" || ~nullValues.indexOf(value.trim())) return null;
+            let number = parseFloat(value);
+            return isNaN(number) ? null : number;
+        };
+    };
+
+}
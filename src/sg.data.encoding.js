@@ -0,0 +1,135 @@
+// channels points may be encoded on, with default scale and output range (color defaults to viridis interpolator)
+const CHANNELS = {
+    color:   {scale: "scaleSequential", range: null}, 
+    size:    {scale: "scaleSqrt", range: [4, 24]}, 
+    opacity: {scale: "scaleLinear", range: [0.2, 1]}
+};
+
+export default function(SimpleGraph, d3) {
+
+    /*
+     * Encode points on channel (color, size, or opacity) by value of field, mapped through a continuous or sequential
+     * scale. Replaces any existing encoding on channel.
+     */
+    SimpleGraph.prototype.setPointEncoding = function(channel, field, options) {
+        channel = String(channel).toLowerCase();
+        if(!(channel in CHANNELS)) throw `Unknown point encoding channel: ${channel}`;
+        if(!field && field !== 0) throw `Point encoding requires field: ${channel}`;
+        options = options || {};
+        var scale = options.scale || d3[CHANNELS[channel].scale];
+        if(typeof scale !== "function" || typeof scale().domain !== "function") {
+            throw `Point encoding scale must be D3 scale class: ${channel}`;
+        }
+        this.pointEncodings = this.pointEncodings || {};
+        this.pointEncodings[channel] = {
+            field:        field, 
+            scale:        scale, 
+            domain:       options.domain ? [...options.domain] : null, 
+            range:        options.range ? [...options.range] : null, 
+            interpolator: typeof options.interpolator === "function" ? options.interpolator : null, 
+            series:       (options.series || options.series === 0)
+                ? (Array.isArray(options.series) ? options.series : [options.series]).map(String)
+                : null, 
+            label:        (options.label || options.label === 0) ? String(options.label) : String(field), 
+            legend:       options.legend !== false
+        };
+        this._encodingScales = null;
+        this._syncLegend();
+        this._syncScaleLegends();
+        return this;
+    };
+
+    SimpleGraph.prototype.removePointEncoding = function(channel) {
+        if(!this.pointEncodings) return this;
+        if(channel === null || typeof channel === "undefined") {
+            this.pointEncodings = null;
+        } else {
+            delete this.pointEncodings[String(channel).toLowerCase()];
+        }
+        this._encodingScales = null;
+        this._syncLegend();
+        this._syncScaleLegends();
+        return this;
+    };
+
+    SimpleGraph.prototype.getPointEncodings = function() {
+        var encodings = {};
+        for(let channel in this.pointEncodings) {
+            let encoding = this.pointEncodings[channel];
+            encodings[channel] = Object.assign({}, encoding, {
+                domain: this._getPointEncodingScale(channel).domain(), 
+                series: encoding.series && [...encoding.series]
+            });
+            if(encoding.range) encodings[channel].range = [...encoding.range];
+        }
+        return encodings;
+    };
+
+    /*
+     * Get scale of point encoding. Scales are created as needed, with domain (if not set) fit to the values of all
+     * encoded points, and kept until cleared by the next draw (so data changes are refit).
+     */
+    SimpleGraph.prototype._getPointEncodingScale = function(channel) {
+        var encoding = this.pointEncodings && this.pointEncodings[channel];
+        if(!encoding) return null;
+        this._encodingScales = this._encodingScales || {};
+        if(this._encodingScales[channel]) return this._encodingScales[channel];
+
+        var scale = encoding.scale(), 
+            domain = encoding.domain;
+        if(!domain) {
+            domain = d3.extent(
+                (this.points || []).filter(d => !encoding.series || ~encoding.series.indexOf(d.series)), 
+                d => this._getPointEncodingField(d, encoding.field)
+            );
+            // no values to fit to
+            if(domain[0] === undefined) domain = [0, 1];
+        }
+        scale.domain(domain);
+        if(typeof scale.interpolator === "function" && (encoding.interpolator || !encoding.range)) {
+            scale.interpolator(encoding.interpolator || d3.interpolateViridis);
+        } else {
+            scale.range(encoding.range || CHANNELS[channel].range || [0, 1]);
+        }
+        // values outside set domain shouldn't produce negative sizes and opacities
+        if(typeof scale.clamp === "function") scale.clamp(true);
+        return (this._encodingScales[channel] = scale);
+    };
+
+    /*
+     * Get value of field for point, from point data (including additional data keys) or otherwise its bound data.
+     * Returns undefined if missing or not a number.
+     */
+    SimpleGraph.prototype._getPointEncodingField = function(d, field) {
+        var value = (field in d) ? d[field] : (d._bind && typeof d._bind === "object" ? d._bind[field] : undefined);
+        if(value === null || typeof value === "undefined" || value === "" || isNaN(value)) return undefined;
+        return value instanceof Date ? value : +value;
+    };
+
+    /*
+     * Get encoded value of point on channel, or null if not encoded (or point has no value for field).
+     */
+    SimpleGraph.prototype._getPointEncodedValue = function(channel, d) {
+        var encoding = this.pointEncodings && this.pointEncodings[channel];
+        if(!encoding || (encoding.series && !~encoding.series.indexOf(d.series))) return null;
+        var value = this._getPointEncodingField(d, encoding.field);
+        return value === undefined ? null : this._getPointEncodingScale(channel)(value);
+    };
+
+    /*
+     * Get fill color of point, by color encoding or otherwise series color.
+     */
+    SimpleGraph.prototype._getPointColor = function(d) {
+        var color = this._getPointEncodedValue("color", d);
+        if(color !== null) return color;
+        color = this.getColorBySeriesName(d.series, true);
+        return typeof color === "function" ? color(d) : color;
+    };
+
+    SimpleGraph.prototype._getPointOpacity = function(d) {
+        var opacity = this._getPointEncodedValue("opacity", d);
+        if(opacity !== null) return opacity;
+        return d.style && ("opacity" in d.style) ? d.style.opacity : 1;
+    };
+
+}
@@ -23,10 +23,13 @@ export default function(SimpleGraph, d3) {
             coords:       coords.map(c => [...c]), 
             xRange:       null, 
             y2:           !!(options.y2Axis || options.y2), 
+            x2:           !!(options.x2Axis || options.x2), 
             style:        style, 
             interpolate:  options.interpolation || d3.curveLinear, 
+            decimate:     this._getLineDecimation(options.decimate), 
             _bind:        {coords: coords, style: style}
         });
+        this._emitData("dataadd", "lines", series === null ? "" : series);
         return this;
     };
 
@@ -53,10 +56,12 @@ export default function(SimpleGraph, d3) {
             coords:       null, 
             xRange:       xRange ? [...xRange] : null, 
             y2:           !!(options.y2Axis || options.y2), 
+            x2:           !!(options.x2Axis || options.x2), 
             style:        style, 
             interpolate:  options.interpolation || d3.curveLinear, 
             _bind:        {xRange: xRange, style: style}
         });
+        this._emitData("dataadd", "lines", series === null ? "" : series);
         return this;
     };
 
@@ -65,6 +70,7 @@ export default function(SimpleGraph, d3) {
 
         options = options || {};
         var handleOverlap = !options.handleOverlap ? 'average' : options.handleOverlap.toLowerCase();
+        var decimate = this._getLineDecimation(options.decimate);
         // default styles
         var style = {};
         if(options.style) {
@@ -84,6 +90,7 @@ export default function(SimpleGraph, d3) {
             var series = this.points[i].series;
             if(series in pointsBySeries) {
                 pointsBySeries[series].y2 = this.points[i].y2;
+                pointsBySeries[series].x2 = this.points[i].x2;
                 pointsBySeries[series].points.push(this.points[i]);
             } else {
                 pointsBySeries[series] = {points: [this.points[i]]};
@@ -116,12 +123,16 @@ export default function(SimpleGraph, d3) {
                     coords:       lineCoords, 
                     xRange:       null, 
                     y2:           pointsBySeries[series].y2, 
+                    x2:           pointsBySeries[series].x2, 
                     style:        style, 
                     interpolate:  options.interpolation || d3.curveLinear, 
-                    bind:         {style: style}
+                    handleOverlap: handleOverlap, 
+                    decimate:     decimate, 
+                    _bind:        {style: style}
                 });
             }
         }
+        this._emitData("dataadd", "pointLines", this.pointLines.map(d => d.series));
         
         return this;
     };
@@ -182,6 +193,7 @@ export default function(SimpleGraph, d3) {
         } else {
             this.lines = this.lines.filter(d => d.series !== series);
         }
+        this._emitData("dataclear", "lines", series);
         return this;
     };
     
@@ -193,9 +205,17 @@ export default function(SimpleGraph, d3) {
         } else {
             this.pointLines = pointLines.lines.filter(d => d.series !== series);
         }
+        this._emitData("dataclear", "pointLines", series);
         return this;
     };
 
+    SimpleGraph.prototype._getLineDecimation = function(decimate) {
+        if(!decimate) return null;
+        decimate = String(decimate).toLowerCase();
+        if(decimate !== "lttb" && decimate !== "minmax") throw `Unknown line decimation: ${decimate}`;
+        return decimate;
+    };
+
     SimpleGraph.prototype._getLineData = function(series, index) {
         if(!this.lines) return [];
         var lines = this.lines.filter(d => d.series === series);
@@ -214,8 +234,10 @@ export default function(SimpleGraph, d3) {
             coords:       d.coords ? d.coords.map(c => [...c]) : null, 
             xRange:       d.xRange ? [...d.xRange] : null, 
             y2:           d.y2, 
+            x2:           d.x2, 
             style:        d.style, 
-            interpolate:  d.interpolate
+            interpolate:  d.interpolate, 
+            decimate:     d.decimate
         };
     };
 
@@ -244,6 +266,7 @@ export default function(SimpleGraph, d3) {
                 }
             }
             line.interpolate = update.interpolate || line.interpolate;
+            if("decimate" in update) line.decimate = this._getLineDecimation(update.decimate);
             if(update.style) {
                 line.style = {};
                 for(let key in update.style) {
@@ -257,6 +280,7 @@ export default function(SimpleGraph, d3) {
                 }
             }
         });
+        this._emitData("dataupdate", "lines", series, {index: index});
         return this;
     };
 
@@ -279,6 +303,7 @@ export default function(SimpleGraph, d3) {
                 }
             }
         });
+        this._emitData("dataupdate", "lines", null);
         return this;
     };
 
@@ -289,15 +314,15 @@ export default function(SimpleGraph, d3) {
         this.points.forEach(point => {
             let series = point.series;
             if(series in pointsBySeries) {
-                pointsBySeries[series].push(this.points[i]);
+                pointsBySeries[series].push(point);
             } else {
-                pointsBySeries[series] = [this.points[i]];
+                pointsBySeries[series] = [point];
             }
         });
         // update existing point-line data
         this.pointLines = this.pointLines.filter(d => {
             if(!(d.series in pointsBySeries)) return false;
-            d.coords = this._getPointLine(pointsBySeries[d.series]);
+            d.coords = this._getPointLine(pointsBySeries[d.series], d.handleOverlap);
             if(d._bind.style) {
                 d.style = {};
                 for(let key in d._bind.style) {
@@ -2,6 +2,18 @@ import shapes from "./sg.point.shapes";
 
 export default function(SimpleGraph) {
 
+    SimpleGraph.registerPointShape = function(name, pathGenerator) {
+        name = String(name);
+        if(typeof pathGenerator !== "function") throw `Cannot register point shape ${name}, not a function`;
+        if(shapes.isBuiltIn(name)) throw `Cannot register point shape ${name}, built-in shape`;
+        shapes.register(name, pathGenerator);
+        return SimpleGraph;
+    };
+
+    SimpleGraph.getPointShapes = function() {
+        return shapes.names();
+    };
+
     SimpleGraph.prototype.addPointData = function(series, xValue, yValue, options) {
         this.points = this.points || [];
         this.ptSeriesShapes = this.ptSeriesShapes || {};
@@ -9,6 +21,7 @@ export default function(SimpleGraph) {
         options = options || {};
         options.size = !options.size || (typeof options.size !== "function" && options.size <= 0) ? options.size = 10 : options.size;
         options.y2Axis = !!(options.y2Axis || options.y2);
+        options.x2Axis = !!(options.x2Axis || options.x2);
         if(options.shape) this.setPointSeriesShape(series, options.shape);
 
         let p = {
@@ -16,12 +29,17 @@ export default function(SimpleGraph) {
             x: xValue, 
             y: parseFloat(yValue), 
             y2: options.y2Axis, 
+            x2: options.x2Axis, 
             size: options.size, 
+            xError: this._getPointError(options.xError), 
+            yError: this._getPointError(options.yError), 
+            errorCap: this._getPointErrorCap(options.errorCap), 
             _bind: null, 
             _keys: null
         };
 
         this.points.push(p);
+        this._emitData("dataadd", "points", series);
         
         return this;
     };
@@ -33,7 +51,10 @@ export default function(SimpleGraph) {
         options = options || {};
         options.size = !options.size || (typeof options.size !== "function" && options.size <= 0) ? options.size = 10 : options.size;
         options.y2Axis = !!(options.y2Axis || options.y2);
+        options.x2Axis = !!(options.x2Axis || options.x2);
         options.additionalDataKeys = options.additionalDataKeys || null;
+        var errorCap = this._getPointErrorCap(options.errorCap), 
+            added = new Set();
 
         // first we gotta comb through the data and organize it nicely
         data.forEach((d, i) => {
@@ -51,7 +72,11 @@ export default function(SimpleGraph) {
                 x: xValue, 
                 y: parseFloat(yValue), 
                 y2: options.y2Axis, 
+                x2: options.x2Axis, 
                 size: options.size, 
+                xError: this._getPointErrorFromKeys(d, options.xError), 
+                yError: this._getPointErrorFromKeys(d, options.yError), 
+                errorCap: errorCap, 
                 _bind: d, 
                 _keys: {
                     x: xValueName, 
@@ -60,6 +85,8 @@ export default function(SimpleGraph) {
                 }
             };
             if(snIsIn) point._keys.series = seriesName;
+            if(options.xError) point._keys.xError = options.xError;
+            if(options.yError) point._keys.yError = options.yError;
             // additonal keys
             if(options.additionalDataKeys && Array.isArray(options.additionalDataKeys)) {
                 let addKeys = [];
@@ -76,7 +103,9 @@ export default function(SimpleGraph) {
                 point._keys.additional = addKeys;
             }
             this.points.push(point);
+            added.add(series);
         });
+        this._emitData("dataadd", "points", [...added]);
         
         return this;
     };
@@ -89,17 +118,24 @@ export default function(SimpleGraph) {
         options = options || {};
         options.size = !options.size || (typeof options.size !== "function" && options.size <= 0) ? options.size = 10 : options.size;
         options.y2Axis = !!(options.y2Axis || options.y2);
+        options.x2Axis = !!(options.x2Axis || options.x2);
         options.showNulls = !!options.showNulls;
         if(options.shape) this.setPointSeriesShape(series, options.shape);
 
-        var self = this;
+        var self = this, 
+            errorCap = this._getPointErrorCap(options.errorCap);
         data.forEach(datum => {
             var p = {
                 series: series, 
                 x: parseFloat(datum[0]),
                 y: parseFloat(datum[1]), 
                 y2: options.y2Axis, 
+                x2: options.x2Axis, 
                 size: options.size, 
+                // errors given by index in each coordinate array
+                xError: self._getPointErrorFromKeys(datum, options.xError), 
+                yError: self._getPointErrorFromKeys(datum, options.yError), 
+                errorCap: errorCap, 
                 _bind: datum, 
                 _keys: {
                     x: 0, 
@@ -107,17 +143,40 @@ export default function(SimpleGraph) {
                     additional: null
                 }
             };
+            if(options.xError || options.xError === 0) p._keys.xError = options.xError;
+            if(options.yError || options.yError === 0) p._keys.yError = options.yError;
             if(isNaN(p.y) || (!p.y && p.y !== 0)) {
-                if(!showNulls) return;
+                if(!options.showNulls) return;
                 p.y = 0;
                 p.wasNull = true;
             }
             self.points.push(p);
         });
+        this._emitData("dataadd", "points", series);
         
         return this;
     };
 
+    /*
+     * Error values are stored as [minus, plus] extents from the value. A single number is a symmetric error.
+     */
+    SimpleGraph.prototype._getPointError = function(error) {
+        if(error === null || typeof error === "undefined") return null;
+        var extents = Array.isArray(error) ? [error[0], error[1]] : [error, error];
+        extents = extents.map(e => Math.abs(parseFloat(e)));
+        if(isNaN(extents[0]) && isNaN(extents[1])) return null;
+        return extents.map(e => isNaN(e) ? 0 : e);
+    };
+
+    SimpleGraph.prototype._getPointErrorFromKeys = function(d, keys) {
+        if(!keys && keys !== 0) return null;
+        return this._getPointError(Array.isArray(keys) ? [d[keys[0]], d[keys[1]]] : d[keys]);
+    };
+
+    SimpleGraph.prototype._getPointErrorCap = function(cap) {
+        return (cap || cap === 0) && cap >= 0 ? cap : 6;
+    };
+
     SimpleGraph.prototype.clearPointsData = function(series) {
         if(series === null || typeof series === "undefined") {
             this.points = null;
@@ -126,6 +185,7 @@ export default function(SimpleGraph) {
         } else {
             this.points = this.points.filter(d => d.series !== series);
         }
+        this._emitData("dataclear", "points", series);
         return this;
     };
 
@@ -146,8 +206,11 @@ export default function(SimpleGraph) {
             x: d.x, 
             y: d.y, 
             y2: d.y2, 
+            x2: d.x2, 
             size: d.size
         };
+        if(d.xError) data.xError = [d.xError[0], d.xError[1]];
+        if(d.yError) data.yError = [d.yError[0], d.yError[1]];
         if(d._keys) {
             if(d._keys.x) data[d._keys.x] = d.x;
             if(d._keys.y) data[d._keys.y] = d.y;
@@ -173,20 +236,28 @@ export default function(SimpleGraph) {
 
     SimpleGraph.prototype.setPointSeriesShape = function(series, shape) {
         this.ptSeriesShapes = this.ptSeriesShapes || {};
-        this.ptSeriesShapes[series] = ~shapes.indexOf(shape) ? shape : null;
+        this.ptSeriesShapes[series] = shapes.has(shape) ? shape : null;
+        this._syncLegend();
         return this;
     };
 
     SimpleGraph.prototype.updatePointsData = function(series, index, update) {
         this._getPointData(series, index).forEach(point => {
-            ['x', 'y', 'y2', 'size'].forEach(k => {
+            ['x', 'y', 'y2', 'x2', 'size'].forEach(k => {
                 if((k in update) && update[k] !== null && typeof update[k] !== undefined) {
                     point[k] = update[k];
                     if(point._keys) delete point._keys[k];
                 }
             });
+            ['xError', 'yError'].forEach(k => {
+                if(!(k in update)) return;
+                point[k] = this._getPointError(update[k]);
+                if(point._keys) delete point._keys[k];
+            });
+            if('errorCap' in update) point.errorCap = this._getPointErrorCap(update.errorCap);
         });
-        this._syncPointLinesData();
+        this._syncPointLines();
+        this._emitData("dataupdate", "points", series, {index: index});
         return this;
     };
 
@@ -197,10 +268,13 @@ export default function(SimpleGraph) {
             if('series' in d._keys) d._bind[d._keys.series];
             if('x' in d._keys) d.x = parseFloat(d._bind[d._keys.x]);
             if('y' in d._keys) d.y = parseFloat(d._bind[d._keys.y]);
+            if('xError' in d._keys) d.xError = this._getPointErrorFromKeys(d._bind, d._keys.xError);
+            if('yError' in d._keys) d.yError = this._getPointErrorFromKeys(d._bind, d._keys.yError);
             if(!d._keys.additional) return;
             d._keys.additional.forEach(a => d[a.name] = d._bind[a.key]);
         });
         this._syncPointLines();
+        this._emitData("dataupdate", "points", null);
         return this;
     };
 
@@ -0,0 +1,302 @@
+// default styles by annotation part
+const DEFAULT_STYLES = {
+    line:  {"stroke": "#555", "stroke-width": 1, "stroke-dasharray": "4,3"}, 
+    band:  {"fill": "#888", "fill-opacity": 0.15, "stroke": "none"}, 
+    text:  {"fill": "#333", "font-size": "12px"}, 
+    label: {"fill": "#555", "font-size": "11px"}, 
+    arrow: {"stroke": "#333", "stroke-width": 1, "fill": "none"}
+};
+
+export default function(SimpleGraph, d3) {
+
+    SimpleGraph.prototype.removeAnnotations = function() {
+        this.svgGraph.selectAll(".sg-annotations").remove();
+        delete this._drawn.annotations;
+        return this;
+    };
+
+    SimpleGraph.prototype.drawAnnotations = function() {
+        this.removeAnnotations();
+        this._drawn.annotations = {};
+        this.svgGraph.append("g").attr("class", "sg-annotations");
+        this._renderAnnotations();
+        return this._emitDrawn("draw", "annotations");
+    };
+
+    SimpleGraph.prototype.drawUpdateAnnotations = function(transition) {
+        if(this.svgGraph.select(".sg-annotations").empty()) return this.drawAnnotations();
+        this._drawn.annotations = {};
+        if(transition) {
+            if(Object.getPrototypeOf(transition) !== Object.prototype) {
+                transition = {};
+            }
+            transition.duration = transition.duration || 200;
+            transition.ease = transition.ease || d3.easePolyOut;
+        }
+        this._renderAnnotations(transition);
+        return this._emitDrawn("drawupdate", "annotations", transition);
+    };
+
+    /*
+     * Join annotations to their drawn elements by ID, creating elements for new annotations, and position all.
+     */
+    SimpleGraph.prototype._renderAnnotations = function(transition) {
+        var self = this, 
+            groups = this.svgGraph.select(".sg-annotations").selectAll(".sg-annotation")
+                .data(this.annotations || [], d => d.id);
+        groups.exit().remove();
+        var added = groups.enter().append("g")
+            .attr("class", "sg-annotation")
+            .attr("annotation", d => d.id)
+            .attr("type", d => d.type)
+            .each(function(d) {
+                let g = d3.select(this);
+                switch(d.type) {
+                    case "band":
+                        g.append("rect").attr("class", "sg-annotation-band");
+                        break;
+                    case "line":
+                        g.append("line").attr("class", "sg-annotation-line");
+                        break;
+                    case "text":
+                        g.append("path").attr("class", "sg-annotation-arrow");
+                        g.append("text").attr("class", "sg-annotation-text");
+                        break;
+                }
+                if(d.type !== "text") g.append("text").attr("class", "sg-annotation-label");
+            });
+        added.merge(groups).each(function(d) {
+            let g = d3.select(this);
+            // draggable may be changed by update
+            self._updateAnnotationDrag(g);
+            self._positionAnnotation(g, d, transition);
+        });
+    };
+
+    /*
+     * Get style of part of annotation, as its own style over the default.
+     */
+    SimpleGraph.prototype._getAnnotationStyle = function(d, part) {
+        var style = {
+            line:  d.style, 
+            band:  d.style, 
+            text:  d.style, 
+            label: d.labelStyle, 
+            arrow: d.arrowStyle
+        }[part];
+        return Object.assign({}, DEFAULT_STYLES[part], style);
+    };
+
+    /*
+     * Get pixel position of value on annotation axis, or null if axis does not exist or value is outside its domain.
+     */
+    SimpleGraph.prototype._getAnnotationPosition = function(a, value) {
+        var axis = this[a];
+        if(!axis || value === null || typeof value === "undefined" || isNaN(value)) return null;
+        if(value < axis.min || value > axis.max) return null;
+        if(this._isInAxisBreak(axis, value)) return null;
+        return axis.scale(value);
+    };
+
+    SimpleGraph.prototype._positionAnnotation = function(g, d, transition) {
+        var animate = selection => (
+                transition ? selection.transition().duration(transition.duration).ease(transition.ease) : selection
+            ), 
+            applyStyles = (selection, part) => {
+                let style = this._getAnnotationStyle(d, part);
+                for(let key in style) selection.style(key, style[key]);
+                return selection;
+            }, 
+            label = g.select(".sg-annotation-label"), 
+            visible = true;
+
+        switch(d.type) {
+            case "line":
+                let pos = this._getAnnotationPosition(d.axis, d.value), 
+                    line = g.selectAll(".sg-annotation-line, .sg-annotation-hit");
+                if(pos === null) {
+                    visible = false;
+                    break;
+                }
+                applyStyles(g.select(".sg-annotation-line"), "line");
+                if(d.axis[0] === "x") {
+                    animate(line).attr("x1", pos).attr("x2", pos).attr("y1", 0).attr("y2", this.height);
+                    animate(label).attr("x", pos+4).attr("y", 12);
+                    label.style("text-anchor", "start");
+                } else {
+                    animate(line).attr("x1", 0).attr("x2", this.width).attr("y1", pos).attr("y2", pos);
+                    animate(label).attr("x", this.width-2).attr("y", pos-4);
+                    label.style("text-anchor", "end");
+                }
+                break;
+            case "band":
+                // clamped to graph area
+                let axis = this[d.axis], 
+                    rect = g.select(".sg-annotation-band");
+                if(!axis || d.from === null || d.to === null || isNaN(d.from) || isNaN(d.to)) {
+                    visible = false;
+                    break;
+                }
+                let lo = Math.max(Math.min(d.from, d.to), axis.min), 
+                    hi = Math.min(Math.max(d.from, d.to), axis.max);
+                if(lo > hi) {
+                    visible = false;
+                    break;
+                }
+                applyStyles(rect, "band");
+                if(d.axis[0] === "x") {
+                    let x0 = axis.scale(lo), 
+                        x1 = axis.scale(hi);
+                    animate(rect).attr("x", x0).attr("y", 0).attr("width", x1-x0).attr("height", this.height);
+                    animate(label).attr("x", x0+4).attr("y", 12);
+                    label.style("text-anchor", "start");
+                } else {
+                    let y0 = axis.scale(hi), 
+                        y1 = axis.scale(lo);
+                    animate(rect).attr("x", 0).attr("y", y0).attr("width", this.width).attr("height", y1-y0);
+                    animate(label).attr("x", this.width-2).attr("y", y0+12);
+                    label.style("text-anchor", "end");
+                }
+                break;
+            case "text":
+                let ax = this._getAnnotationPosition(d.x2 ? "x2" : "x", d.x), 
+                    ay = this._getAnnotationPosition(d.y2 ? "y2" : "y", d.y);
+                if(ax === null || ay === null) {
+                    visible = false;
+                    break;
+                }
+                let text = g.select(".sg-annotation-text")
+                        .text(d.text)
+                        .attr("dy", ".35em")
+                        .style("text-anchor", d.anchor), 
+                    tx = ax + d.dx, 
+                    ty = ay + d.dy;
+                applyStyles(text, "text");
+                animate(text).attr("x", tx).attr("y", ty);
+                let arrow = g.select(".sg-annotation-arrow");
+                applyStyles(arrow, "arrow");
+                animate(arrow).attr("d", d.arrow ? this._getAnnotationArrowPath(text.node(), tx, ty, ax, ay) : "");
+                break;
+        }
+        if(label.size()) {
+            label.text(d.label === null ? "" : d.label);
+            applyStyles(label, "label");
+        }
+        g.style("display", visible ? null : "none");
+    };
+
+    /*
+     * Get path of arrow from text (starting at the edge of its box, so the arrow does not cross it) to anchor point.
+     */
+    SimpleGraph.prototype._getAnnotationArrowPath = function(textNode, tx, ty, ax, ay) {
+        var vx = ax - tx, 
+            vy = ay - ty, 
+            length = Math.sqrt(vx*vx + vy*vy);
+        if(length < 1) return "";
+        // measured box is of the current (possibly transitioning) position, so offset to the target position
+        var box = this._getBBox(textNode), 
+            cx = box.x + 0.5*box.width - (+textNode.getAttribute("x") || 0) + tx, 
+            cy = box.y + 0.5*box.height - (+textNode.getAttribute("y") || 0) + ty, 
+            hw = 0.5*box.width + 3, 
+            hh = 0.5*box.height + 3, 
+            // distance along arrow from box center to box edge
+            edge = Math.min(
+                vx ? hw/Math.abs(vx/length) : Infinity, 
+                vy ? hh/Math.abs(vy/length) : Infinity
+            ), 
+            ux = vx/length, 
+            uy = vy/length, 
+            sx = cx + ux*edge, 
+            sy = cy + uy*edge;
+        if((ax - sx)*ux + (ay - sy)*uy <= 0) return "";
+        // arrowhead as open chevron at anchor
+        var head = 7, 
+            spread = 0.45, 
+            cos = Math.cos(spread), 
+            sin = Math.sin(spread), 
+            h1 = [ax - head*(ux*cos - uy*sin), ay - head*(uy*cos + ux*sin)], 
+            h2 = [ax - head*(ux*cos + uy*sin), ay - head*(uy*cos - ux*sin)];
+        return `M${sx},${sy}L${ax},${ay}M${h1[0]},${h1[1]}L${ax},${ay}L${h2[0]},${h2[1]}`;
+    };
+
+    /*
+     * Add or remove drag behavior (and the wider invisible line to grab reference lines by) by whether annotation is
+     * draggable.
+     */
+    SimpleGraph.prototype._updateAnnotationDrag = function(g) {
+        var d = g.datum(), 
+            hit = g.select(".sg-annotation-hit");
+        if(!d.draggable) {
+            hit.remove();
+            g.on(".drag", null).style("cursor", null);
+            return;
+        }
+        if(d.type === "line" && hit.empty()) {
+            g.insert("line", ".sg-annotation-label")
+                .attr("class", "sg-annotation-hit")
+                .style("stroke", "transparent")
+                .style("stroke-width", 8);
+        }
+        this._addAnnotationDrag(g);
+    };
+
+    /*
+     * Make annotation draggable. Reference lines move along their axis, bands move as a whole, text annotations with
+     * an arrow move the text relative to the anchor, and text annotations without an arrow move their anchor.
+     */
+    SimpleGraph.prototype._addAnnotationDrag = function(g) {
+        var toValue = (a, v) => this[a].isDate ? new Date(v) : v, 
+            clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v)), 
+            d = g.datum(), 
+            start = null;
+        g.style("cursor", d.type === "line" ? (d.axis[0] === "x" ? "ew-resize" : "ns-resize") : "move");
+        g.call(d3.drag()
+            // drag by pointer position (default subject would be the datum, which has data coordinates)
+            .subject(evt => ({x: evt.x, y: evt.y}))
+            .on("start", evt => {
+                // datum read on each drag, as updates replace it
+                d = g.datum();
+                start = {x: evt.x, y: evt.y, dx: d.dx, dy: d.dy, from: d.from, to: d.to};
+            })
+            .on("drag", evt => {
+                let a = d.axis, 
+                    axis = this[a];
+                switch(d.type) {
+                    case "line":
+                        if(!axis) return;
+                        let p = a[0] === "x" ? clamp(evt.x, 0, this.width) : clamp(evt.y, 0, this.height);
+                        d.value = toValue(a, +axis.scale.invert(p));
+                        break;
+                    case "band":
+                        if(!axis) return;
+                        let span = Math.abs(start.to - start.from), 
+                            lo = Math.min(start.from, start.to), 
+                            delta = +axis.scale.invert(a[0] === "x" ? evt.x : evt.y)
+                                - +axis.scale.invert(a[0] === "x" ? start.x : start.y), 
+                            from = clamp(+lo + delta, +axis.min, +axis.max - span);
+                        d.from = toValue(a, from);
+                        d.to = toValue(a, from + span);
+                        break;
+                    case "text":
+                        if(d.arrow) {
+                            d.dx = start.dx + evt.x - start.x;
+                            d.dy = start.dy + evt.y - start.y;
+                        } else {
+                            let xa = d.x2 ? "x2" : "x", 
+                                yAxis = d.y2 ? this.y2 : this.y;
+                            d.x = toValue(xa, +this[xa].scale.invert(clamp(evt.x - d.dx, 0, this.width)));
+                            d.y = toValue(d.y2 ? "y2" : "y", +yAxis.scale.invert(clamp(evt.y - d.dy, 0, this.height)));
+                        }
+                        break;
+                }
+                this._positionAnnotation(g, d);
+            })
+            .on("end", () => {
+                start = null;
+                this._emitData("dataupdate", "annotations", d.id);
+                if(d.dragend) d.dragend(this._cloneAnnotation(d));
+            })
+        );
+    };
+
+}
@@ -1,20 +1,25 @@
-import shapes from "./sg.point.shapes";
-
 export default function(SimpleGraph, d3) {
 
     SimpleGraph.prototype.removeAreas = function(series) {
+        let removed;
         if(series === null || typeof series === "undefined") {
-            this.svgGraph.selectAll(".sg-area").remove();
+            removed = this.svgGraph.selectAll(".sg-area").remove();
+            delete this._drawn.areas;
         } else {
-            removed = Array.isArray(series) ? series : [series];
-            this.svgGraph.selectAll(".sg-area")
+            series = Array.isArray(series) ? series : [series];
+            removed = this.svgGraph.selectAll(".sg-area")
                 .filter(d => ~series.indexOf(d.series))
                 .remove();
         }
+        removed.each(d => {
+            d._parts = null;
+            d._d3s = null;
+        });
         return this;
     };
 
     SimpleGraph.prototype.drawAreas = function(resolution, transition) {
+        this._refitAutoAxes();
         this.removeAreas();
         // default and enforced minimum resolution for resolving from function
         if(!resolution && resolution !== 0) {
@@ -22,7 +27,8 @@ export default function(SimpleGraph, d3) {
         } else if(resolution <= 2) {
             resolution = 2;
         }
-        if(!this.areas) return this;
+        this._drawn.areas = {resolution: resolution};
+        if(!this.areas) return this._emitDrawn("draw", "areas", transition);
 
         this.areas.forEach(area => {
             if(area.functions) {
@@ -32,28 +38,32 @@ export default function(SimpleGraph, d3) {
                     area.resolution, 
                     area.xRange, 
                     area.y2, 
-                    !this.allowDrawBeyondGraph
+                    !this.allowDrawBeyondGraph, 
+                    area.x2
                 );
             } else if(this.allowDrawBeyondGraph) {
                 area._parts = [area.coords];
             } else {
-                area._parts = this._getAreaPolysFromCoordinates(area.coords, area.y2);
+                area._parts = this._getAreaPolysFromCoordinates(area.coords, area.y2, area.x2);
             }
             if(area._parts) area._parts = area._parts.filter(s => s && s.length >= 2);
+            if(this._isSeriesHidden(area.series, "areas")) area._parts = [];
         });
         this._drawAreas(resolution, transition);
 
-        return this;
+        return this._emitDrawn("draw", "areas", transition);
     };
 
     SimpleGraph.prototype.drawUpdateAreas = function(resolution, transition) {
+        this._refitAutoAxes();
         if(!resolution && resolution !== 0) {
             resolution = 20;
         } else if(resolution <= 2) {
             resolution = 2;
         }
+        this._drawn.areas = {resolution: resolution};
 
-        this.areas.forEach(area => {
+        (this.areas || []).forEach(area => {
             if(area.functions) {
                 area._parts = this._getAreasPolysFromFunctions(
                     area.functions[0], 
@@ -61,33 +71,36 @@ export default function(SimpleGraph, d3) {
                     area.resolution, 
                     area.xRange, 
                     area.y2, 
-                    !this.allowDrawBeyondGraph
+                    !this.allowDrawBeyondGraph, 
+                    area.x2
                 );
             } else if(this.allowDrawBeyondGraph) {
                 area._parts = [area.coords];
             } else {
-                area._parts = this._getAreaPolysFromCoordinates(area.coords, area.y2);
+                area._parts = this._getAreaPolysFromCoordinates(area.coords, area.y2, area.x2);
             }
             if(area._parts) area._parts = area._parts.filter(s => s && s.length >= 2);
+            if(this._isSeriesHidden(area.series, "areas")) area._parts = [];
         });
         this._updateAreas(transition);
 
-        return this;
+        return this._emitDrawn("drawupdate", "areas", transition);
     };
 
     SimpleGraph.prototype._drawAreas = function(resolution, transition) {
         if(!this.areas) return;
         var self = this, 
             addedAreas = this.svgGraph.selectAll(".sg-temporary-area")
-                .data(this.areas)
+                .data(this.areas.filter(area => area._parts && area._parts.length))
               .enter().append("path")
                 .attr("series", d => d.series)
                 .attr("class", "sg-area")
                 .style("opacity", transition ? 0 : 1)
                 .attr("d", d => {
-                    let yAxis = d.y2 ? this.y2 : this.y, 
+                    let xAxis = d.x2 ? this.x2 : this.x, 
+                        yAxis = d.y2 ? this.y2 : this.y, 
                         d3Area = d3.area()
-                            .x(c => this.x.scale(c[0]))
+                            .x(c => xAxis.scale(c[0]))
                             .y0(c => yAxis.scale(c[1]))
                             .y1(c => yAxis.scale(c[2]))
                             .curve(d.interpolate);
@@ -113,6 +126,7 @@ export default function(SimpleGraph, d3) {
                     // attach
                     d._d3s = nArea;
                 });
+        this._describeElements(addedAreas, "areas");
         // animate
         if(transition) {
             if(Object.getPrototypeOf(transition) !== Object.prototype) {
@@ -128,8 +142,6 @@ export default function(SimpleGraph, d3) {
     };
 
     SimpleGraph.prototype._updateAreas = function(transition) {
-        if(!this.areas) return;
-
         if(transition) {
             if(Object.getPrototypeOf(transition) !== Object.prototype) {
                 transition = {};
@@ -138,10 +150,27 @@ export default function(SimpleGraph, d3) {
             transition.ease = transition.ease || d3.easePolyOut;
         }
 
+        // remove drawn areas no longer in the data (e.g. cleared layers of a stack)
+        var areaSet = new Set(this.areas || []), 
+            removed = this.svgGraph.selectAll(".sg-area").filter(d => !areaSet.has(d));
+        removed.each(d => {
+            d._parts = null;
+            d._d3s = null;
+        });
+        if(transition) {
+            removed.classed("sg-area", false)
+              .transition().duration(transition.duration).ease(transition.ease)
+                .style("opacity", 0)
+                .remove();
+        } else {
+            removed.remove();
+        }
+        if(!this.areas) return;
+
         // remove, while also filter for new areas
         var newAreas = this.areas.filter(area => {
             if(!area._parts || !area._parts.length || area._parts.filter(c => c.length < 2).length) {
-                if(segments._d3s) {
+                if(area._d3s) {
                     area._d3s.remove();
                     area._d3s = null;
                 }
@@ -152,14 +181,16 @@ export default function(SimpleGraph, d3) {
         
         // modify existing areas, transition if necessary
         var sel = this.svgGraph.selectAll(".sg-area");
+        this._describeElements(sel, "areas");
         if(transition) {
             sel = sel.transition().duration(transition.duration).ease(transition.ease);
         }
         var self = this;
         sel.attr("d", d => {
-                let yAxis = d.y2 ? this.y2 : this.y, 
+                let xAxis = d.x2 ? this.x2 : this.x, 
+                    yAxis = d.y2 ? this.y2 : this.y, 
                     d3Area = d3.area()
-                        .x(c => this.x.scale(c[0]))
+                        .x(c => xAxis.scale(c[0]))
                         .y0(c => yAxis.scale(c[1]))
                         .y1(c => yAxis.scale(c[2]))
                         .curve(d.interpolate);
@@ -190,9 +221,10 @@ export default function(SimpleGraph, d3) {
                 .attr("class", "sg-area")
                 .style("opacity", transition ? 0 : 1)
                 .attr("d", d => {
-                    let yAxis = d.y2 ? this.y2 : this.y, 
+                    let xAxis = d.x2 ? this.x2 : this.x, 
+                        yAxis = d.y2 ? this.y2 : this.y, 
                         d3Area = d3.area()
-                            .x(c => this.x.scale(c[0]))
+                            .x(c => xAxis.scale(c[0]))
                             .y0(c => yAxis.scale(c[1]))
                             .y1(c => yAxis.scale(c[2]))
                             .curve(d.interpolate);
@@ -218,6 +250,7 @@ export default function(SimpleGraph, d3) {
                     // attach
                     d._d3s = nArea;
                 });
+        this._describeElements(addedAreas, "areas");
         // animate
         if(transition) {
             transition.duration = transition.duration || 200;
@@ -0,0 +1,214 @@
+export default function(SimpleGraph, d3) {
+
+    SimpleGraph.prototype.removeBars = function(series) {
+        if(series === null || typeof series === "undefined") {
+            this.svgGraph.selectAll(".sg-bar").remove();
+            delete this._drawn.bars;
+        } else {
+            series = Array.isArray(series) ? series : [series];
+            this.svgGraph.selectAll(".sg-bar")
+                .filter(d => ~series.indexOf(d.series))
+                .remove();
+        }
+        return this;
+    };
+
+    SimpleGraph.prototype.drawBars = function(options, transition) {
+        this.removeBars();
+        options = this._getBarDrawOptions(options);
+        this._refitAutoAxes(options);
+        this._drawn.bars = {options: options};
+
+        if(!this.bars || this.bars.length === 0) return this._emitDrawn("draw", "bars", transition);
+
+        var drawBarsData = this._getBarLayout(options);
+        if(!drawBarsData.length) return this._emitDrawn("draw", "bars", transition);
+
+        this._drawBars(
+            this.svgGraph.selectAll(".sg-temporary-bar").data(drawBarsData).enter(), 
+            transition
+        );
+
+        return this._emitDrawn("draw", "bars", transition);
+    };
+
+    SimpleGraph.prototype.drawUpdateBars = function(options, transition) {
+        if(!this.bars || this.bars.length === 0) {
+            this.removeBars();
+            return this._emitDrawn("drawupdate", "bars", transition);
+        }
+        options = this._getBarDrawOptions(options);
+        this._refitAutoAxes(options);
+        this._drawn.bars = {options: options};
+
+        if(transition) {
+            if(Object.getPrototypeOf(transition) !== Object.prototype) {
+                transition = {};
+            }
+            transition.duration = transition.duration || 200;
+            transition.ease = transition.ease || d3.easePolyOut;
+        }
+
+        var drawBarsData = this._getBarLayout(options), 
+            drawBarsSet = new Set(drawBarsData), 
+            selection = this.svgGraph.selectAll(".sg-bar");
+
+        // remove bars that no longer exist and reselect (for those that will need modifying)
+        selection.filter(d => !drawBarsSet.has(d)).remove();
+        selection = selection.filter(d => drawBarsSet.has(d));
+
+        // add new bars
+        var drawnSet = new Set(selection.data());
+        this._drawBars(
+            this.svgGraph.selectAll(".sg-temporary-bar").data(drawBarsData.filter(d => !drawnSet.has(d))).enter(), 
+            transition
+        );
+
+        // update existing bars
+        if(selection.size()) {
+            this._describeElements(selection, "bars");
+            if(transition) {
+                selection = selection.transition().duration(transition.duration).ease(transition.ease);
+            }
+            this._formatBar(selection);
+        }
+
+        return this._emitDrawn("drawupdate", "bars", transition);
+    };
+
+    SimpleGraph.prototype._getBarDrawOptions = function(options) {
+        if(typeof options === "string") options = {mode: options};
+        options = options || {};
+        return {
+            mode:    (options.mode || "").toLowerCase() === "stacked" ? "stacked" : "grouped", 
+            padding: (options.padding || options.padding === 0) ? options.padding : 0.2, 
+            width:   options.width || null
+        };
+    };
+
+    /*
+     * Get bars drawable within the graph bounds, with the pixel layout of each (after grouping or stacking) attached
+     * as `_rect`.
+     */
+    SimpleGraph.prototype._getBarLayout = function(options) {
+        var bars = this.bars.filter(d => {
+            if((!d.x && d.x !== 0) || isNaN(d.x) || isNaN(d.y)) return false;
+            if((d.y2 && !this.y2) || (d.x2 && !this.x2)) return false;
+            if(this._isSeriesHidden(d.series, "bars")) return false;
+            if(this.allowDrawBeyondGraph) return true;
+            let xAxis = d.x2 ? this.x2 : this.x;
+            if(d.x < xAxis.min || d.x > xAxis.max) return false;
+            if(this._isInAxisBreak(xAxis, d.x)) return false;
+            return true;
+        });
+        if(!bars.length) return bars;
+
+        // group bars by series (in order added) and find pixel spacing between x-values for width of each group
+        var seriesList = [], 
+            xPositions = [];
+        bars.forEach(d => {
+            if(!~seriesList.indexOf(d.series)) seriesList.push(d.series);
+            xPositions.push((d.x2 ? this.x2 : this.x).scale(d.x));
+        });
+        xPositions.sort((a, b) => a - b);
+        var gap = 0;
+        for(let i = 1; i < xPositions.length; ++i) {
+            let diff = xPositions[i] - xPositions[i-1];
+            if(diff > 0 && (!gap || diff < gap)) gap = diff;
+        }
+        if(!gap) gap = 0.1*this.width;
+        var groupWidth = options.width || gap*(1 - options.padding), 
+            barWidth = options.mode === "stacked" ? groupWidth : groupWidth/seriesList.length;
+
+        // running stack totals by x-value and axis, split as positive and negative values stack in opposite directions
+        var stacks = {};
+        return bars.filter(d => {
+            let yAxis = d.y2 ? this.y2 : this.y, 
+                base = this._getBarBaseline(yAxis), 
+                y0 = base, 
+                y1 = d.y, 
+                offset = -0.5*groupWidth;
+            if(options.mode === "stacked") {
+                // bars only stack at the same position, so on the same axes
+                let key = (d.x2 ? "x2:" : "x:") + (d.y2 ? "y2:" : "y:") + (+d.x);
+                stacks[key] = stacks[key] || {pos: 0, neg: 0};
+                let dir = d.y >= 0 ? "pos" : "neg", 
+                    start = stacks[key][dir];
+                y1 = start + d.y;
+                stacks[key][dir] = y1;
+                // totals run from zero, with the baseline (e.g. axis minimum) only the floor of the first segment
+                y0 = start === 0 ? base : start;
+            } else {
+                offset += barWidth*seriesList.indexOf(d.series);
+            }
+            let lo = Math.min(y0, y1), 
+                hi = Math.max(y0, y1);
+            if(!this.allowDrawBeyondGraph) {
+                if(hi < yAxis.min || lo > yAxis.max) return false;
+                lo = Math.max(lo, yAxis.min);
+                hi = Math.min(hi, yAxis.max);
+            }
+            let top = yAxis.scale(hi);
+            d._rect = {
+                x:      (d.x2 ? this.x2 : this.x).scale(d.x) + offset, 
+                y:      top, 
+                width:  barWidth, 
+                height: Math.max(0, yAxis.scale(lo) - top)
+            };
+            return true;
+        });
+    };
+
+    SimpleGraph.prototype._getBarBaseline = function(yAxis) {
+        // log scales can't reach zero so bars start from axis minimum
+        if(yAxis.isLog || yAxis.min > 0) return yAxis.min;
+        if(yAxis.max < 0) return yAxis.max;
+        return 0;
+    };
+
+    SimpleGraph.prototype._drawBars = function(selection, transition) {
+        if(!selection.size()) return;
+        var items = selection.append("rect")
+            .attr("series", d => d.series)
+            .attr("class", "sg-bar")
+            .style("opacity", transition ? 0 : null)
+            .each(function(d) {
+                // add styles
+                let nBar = d3.select(this), 
+                    styles = d.style || {};
+                for(let key in styles) {
+                    if(!transition || (key && key.toLowerCase() != "opacity")) {
+                        nBar.style(key, styles[key]);
+                    }
+                }
+            });
+        this._formatBar(items);
+        this._describeElements(items, "bars");
+        if(transition) {
+            if(Object.getPrototypeOf(transition) !== Object.prototype) {
+                transition = {};
+            }
+            transition.duration = transition.duration || 200;
+            transition.ease = transition.ease || d3.easePolyOut;
+            items.transition().duration(transition.duration).ease(transition.ease)
+                .style("opacity", d => {
+                    return d.style && ('opacity' in d.style) ? d.style.opacity : 1;
+                });
+        }
+    };
+
+    SimpleGraph.prototype._formatBar = function(selc) {
+        var self = this;
+        selc.attr("x", d => d._rect.x)
+            .attr("y", d => d._rect.y)
+            .attr("width", d => d._rect.width)
+            .attr("height", d => d._rect.height)
+            .style("fill", d => {
+                if(d.style && d.style.fill) return d.style.fill;
+                let color = self.getColorBySeriesName(d.series, true);
+                return typeof color === "function" ? color(d) : color;
+            });
+        return selc;
+    };
+
+}
@@ -0,0 +1,308 @@
+import shapes from "./sg.point.shapes";
+
+export default function(SimpleGraph, d3) {
+
+    SimpleGraph.prototype.setPointRenderer = function(renderer) {
+        renderer = (renderer || "svg").toLowerCase() === "canvas" ? "canvas" : "svg";
+        if(renderer === this.pointRenderer) return this;
+        this.pointRenderer = renderer;
+        // redraw in new renderer (in place of what was drawn, as canvas layers are placed at their draw order)
+        if(this._drawn.pointLines) this.drawPointLines();
+        if(this._drawn.points) this.drawPoints(this._drawn.points.showNulls);
+        return this;
+    };
+
+    /*
+     * Canvas rendering falls back on SVG when headless or canvas is not supported.
+     */
+    SimpleGraph.prototype._usePointCanvas = function() {
+        if(this.pointRenderer !== "canvas" || this.headless) return false;
+        if(this._canvasSupported === undefined) {
+            let canvas = this.svg.node().ownerDocument.createElement("canvas");
+            try {
+                this._canvasSupported = !!(canvas.getContext && canvas.getContext("2d"));
+            } catch(e) {
+                this._canvasSupported = false;
+            }
+        }
+        return this._canvasSupported;
+    };
+
+    /*
+     * Get canvas layer, creating it if needed. Canvas is embedded in the SVG (so it is layered in draw order with the
+     * rest of the graph) and covers the entire SVG (so drawing beyond graph works).
+     */
+    SimpleGraph.prototype._getCanvasLayer = function(type) {
+        this._canvasLayers = this._canvasLayers || {};
+        var layer = this._canvasLayers[type];
+        if(!layer) {
+            let node = this.svgGraph.append("foreignObject")
+                    .attr("class", "sg-canvas " + (type === "points" ? "sg-point-canvas" : "sg-point-line-canvas"))
+                    .style("pointer-events", "none");
+            layer = this._canvasLayers[type] = {
+                node:     node, 
+                canvas:   node.append("xhtml:canvas").style("display", "block").node(), 
+                drawn:    [], 
+                hidden:   new Set(), 
+                index:    null, 
+                tooltips: [], 
+                hovered:  null
+            };
+        }
+        var view = layer.canvas.ownerDocument.defaultView, 
+            ratio = (view && view.devicePixelRatio) || 1;
+        layer.node
+            .attr("x", -this.margins.left)
+            .attr("y", -this.margins.top)
+            .attr("width", this.containerWidth)
+            .attr("height", this.containerHeight);
+        // resetting size also clears canvas
+        layer.canvas.width = Math.round(this.containerWidth*ratio);
+        layer.canvas.height = Math.round(this.containerHeight*ratio);
+        layer.canvas.style.width = this.containerWidth + "px";
+        layer.canvas.style.height = this.containerHeight + "px";
+        layer.context = layer.canvas.getContext("2d");
+        layer.context.setTransform(ratio, 0, 0, ratio, ratio*this.margins.left, ratio*this.margins.top);
+        return layer;
+    };
+
+    SimpleGraph.prototype._removeCanvasLayer = function(type) {
+        if(!this._canvasLayers || !this._canvasLayers[type]) return;
+        let layer = this._canvasLayers[type];
+        if(layer.hovered) this._dispatchCanvasHover(layer, null, null);
+        layer.node.remove();
+        delete this._canvasLayers[type];
+        if(type === "points") this.svg.on(".sg-point-canvas", null);
+    };
+
+    SimpleGraph.prototype._removeCanvasSeries = function(type, series) {
+        if(!this._canvasLayers || !this._canvasLayers[type]) return;
+        let drawn = this._canvasLayers[type].drawn.filter(d => !~series.indexOf(d.series));
+        if(type === "points") {
+            this._renderPointCanvas(drawn);
+        } else {
+            this._renderPointLineCanvas(drawn);
+        }
+    };
+
+    SimpleGraph.prototype._renderPointCanvas = function(drawPointsData) {
+        var layer = this._getCanvasLayer("points"), 
+            drawnSet = new Set(drawPointsData);
+        layer.drawn = drawPointsData;
+        layer.index = null;
+        // drawn points may no longer exist
+        layer.hidden = new Set([...layer.hidden].filter(d => drawnSet.has(d)));
+        if(layer.hovered && !drawnSet.has(layer.hovered)) this._dispatchCanvasHover(layer, null, null);
+        this._paintPointCanvas(layer);
+
+        // hover listener on SVG root as canvas ignores pointer events, to not block elements beneath it
+        this.svg
+            .on("mousemove.sg-point-canvas", evt => {
+                let pos = d3.pointer(evt, this.svgGraph.node());
+                this._dispatchCanvasHover(layer, this._findCanvasPoint(pos[0], pos[1]), evt);
+            })
+            .on("mouseleave.sg-point-canvas", evt => this._dispatchCanvasHover(layer, null, evt))
+            .on("click.sg-point-canvas", evt => {
+                let pos = d3.pointer(evt, this.svgGraph.node()), 
+                    d = this._findCanvasPoint(pos[0], pos[1]);
+                if(d) this._emitElementEvent("point", "click", d, evt);
+            });
+        return layer;
+    };
+
+    SimpleGraph.prototype._paintPointCanvas = function(layer) {
+        // series colors cached as lookup searches through all data
+        var ctx = layer.context, 
+            colors = new Map(), 
+            getColor = d => {
+                let color = this._getPointEncodedValue("color", d);
+                if(color === null) {
+                    if(!colors.has(d.series)) colors.set(d.series, this.getColorBySeriesName(d.series, true));
+                    color = colors.get(d.series);
+                    color = typeof color === "function" ? color(d) : color;
+                }
+                // opacity folded into color, so points batch by color alone
+                let opacity = this._getPointOpacity(d);
+                if(opacity === 1) return color;
+                color = d3.color(color);
+                return color ? color.copy({opacity: color.opacity*opacity}).toString() : null;
+            };
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, layer.canvas.width, layer.canvas.height);
+        ctx.restore();
+
+        // error bars beneath points
+        ctx.lineWidth = 1;
+        layer.drawn.forEach(d => {
+            if((!d.xError && !d.yError) || isNaN(d.y) || layer.hidden.has(d)) return;
+            ctx.strokeStyle = getColor(d);
+            this._traceSvgPath(ctx, this._getPointErrorPath(d));
+            ctx.stroke();
+        });
+
+        // points batched into single path while color is the same
+        var color = null;
+        ctx.beginPath();
+        layer.drawn.forEach(d => {
+            if(layer.hidden.has(d)) return;
+            let pointColor = getColor(d);
+            if(pointColor !== color) {
+                if(color !== null) {
+                    ctx.fill();
+                    ctx.stroke();
+                    ctx.beginPath();
+                }
+                color = ctx.fillStyle = ctx.strokeStyle = pointColor;
+            }
+            let pos = this._getPointPosition(d);
+            this._tracePointShape(ctx, this.ptSeriesShapes[d.series], pos[0], pos[1], this._getPointSize(d));
+        });
+        if(color !== null) {
+            ctx.fill();
+            ctx.stroke();
+        }
+    };
+
+    SimpleGraph.prototype._getPointPosition = function(d) {
+        return [(d.x2 ? this.x2 : this.x).scale(d.x), (d.y2 ? this.y2 : this.y).scale(isNaN(d.y) ? 0 : d.y)];
+    };
+
+    SimpleGraph.prototype._getPointSize = function(d) {
+        var size = this._getPointEncodedValue("size", d);
+        if(size !== null) return size;
+        return typeof d.size === "function" ? d.size(d, d._bind) : d.size;
+    };
+
+    /*
+     * Trace point shape onto canvas path, with same path generator as drawn in SVG.
+     */
+    SimpleGraph.prototype._tracePointShape = function(ctx, shape, x, y, size) {
+        (shapes.get(shape) || shapes.get("circle"))(ctx, x, y, size);
+    };
+
+    /*
+     * Trace SVG path data (of only move and line commands with absolute coordinates) onto canvas path.
+     */
+    SimpleGraph.prototype._traceSvgPath = function(ctx, path) {
+        ctx.beginPath();
+        (path.match(/[ML][^ML]*/g) || []).forEach(command => {
+            let xy = command.slice(1).split(",");
+            ctx[command[0] === "M" ? "moveTo" : "lineTo"](+xy[0], +xy[1]);
+        });
+    };
+
+    SimpleGraph.prototype._renderPointLineCanvas = function(lines) {
+        var layer = this._getCanvasLayer("pointLines"), 
+            ctx = layer.context;
+        layer.drawn = lines;
+        lines.forEach(line => {
+            if(!line._segments || !line._segments.length) return;
+            let xAxis = line.x2 ? this.x2 : this.x, 
+                yAxis = line.y2 ? this.y2 : this.y, 
+                styles = line.style || {}, 
+                color = styles.stroke;
+            if(!color) {
+                color = this.getColorBySeriesName(line.series, true);
+                color = typeof color === "function" ? color(line) : color;
+            }
+            ctx.save();
+            ctx.strokeStyle = color;
+            ctx.lineWidth = parseFloat(styles["stroke-width"]) || 1;
+            if(styles["stroke-dasharray"]) {
+                ctx.setLineDash(String(styles["stroke-dasharray"]).split(/[\s,]+/).map(parseFloat));
+            }
+            if(styles.opacity || styles.opacity === 0) ctx.globalAlpha = parseFloat(styles.opacity);
+            ctx.beginPath();
+            let d3line = d3.line()
+                .x(c => xAxis.scale(c[0]))
+                .y(c => yAxis.scale(c[1]))
+                .curve(line.interpolate)
+                .context(ctx);
+            line._segments.forEach(segment => {
+                if(segment.length >= 2) d3line(segment);
+            });
+            ctx.stroke();
+            ctx.restore();
+        });
+        return layer;
+    };
+
+    /*
+     * Find drawn point under pixel position (relative to graph area). Uses spatial index of drawn points, built as
+     * needed, as hit-testing every point on each mouse event is too slow for large datasets.
+     */
+    SimpleGraph.prototype._findCanvasPoint = function(px, py) {
+        var layer = this._canvasLayers && this._canvasLayers.points;
+        if(!layer || !layer.drawn.length) return null;
+        if(!layer.index) {
+            let items = layer.drawn.map(d => {
+                let pos = this._getPointPosition(d);
+                return {d: d, x: pos[0], y: pos[1], r: 0.5*this._getPointSize(d)};
+            });
+            layer.index = {
+                tree:   d3.quadtree().x(item => item.x).y(item => item.y).addAll(items), 
+                // search radius must cover the largest point
+                radius: d3.max(items, item => item.r) || 0
+            };
+        }
+        // small tolerance for tiny points
+        var tolerance = 2, 
+            item = layer.index.tree.find(px, py, layer.index.radius + tolerance);
+        // points hidden beneath highlights are still found, as highlights ignore pointer events
+        if(!item) return null;
+        var dx = item.x - px, 
+            dy = item.y - py;
+        return Math.sqrt(dx*dx + dy*dy) <= item.r + tolerance ? item.d : null;
+    };
+
+    /*
+     * Dispatch mouse events to tooltips registered on canvas layer (and as graph events), as would be triggered on a
+     * hovered SVG element.
+     */
+    SimpleGraph.prototype._dispatchCanvasHover = function(layer, d, evt) {
+        if(evt) {
+            layer.lastEvent = evt;
+        } else {
+            // cleared without mouse event (e.g. hovered point removed), so handlers still get event to position by
+            let view = this.svg.node().ownerDocument.defaultView;
+            evt = layer.lastEvent || (view && view.MouseEvent ? new view.MouseEvent("mouseout") : null);
+        }
+        var trigger = (type, datum) => {
+            layer.tooltips.forEach(tooltip => {
+                if(tooltip.series && !~tooltip.series.indexOf(datum.series)) return;
+                if(tooltip.handlers[type]) tooltip.handlers[type](evt, datum);
+            });
+        };
+        if(layer.hovered !== d) {
+            if(layer.hovered) {
+                trigger("mouseout", layer.hovered);
+                this._emitElementEvent("point", "leave", layer.hovered, evt);
+            }
+            layer.hovered = d;
+            if(d) {
+                trigger("mouseover", d);
+                this._emitElementEvent("point", "hover", d, evt);
+            }
+        }
+        if(d) trigger("mousemove", d);
+    };
+
+    /*
+     * Register tooltip on canvas layer. The tooltip functionality is given a stand-in for a selection, which collects
+     * the event handlers instead of binding them to elements.
+     */
+    SimpleGraph.prototype._addCanvasTooltip = function(type, tooltipFunctionality, forSeries) {
+        var handlers = {}, 
+            selection = {
+                _groups: [[]], 
+                on: function(typename, listener) {
+                    handlers[typename.split(".")[0]] = listener;
+                    return this;
+                }
+            };
+        tooltipFunctionality(selection);
+        this._canvasLayers[type].tooltips.push({series: forSeries, handlers: handlers});
+    };
+
+}
@@ -3,11 +3,12 @@ export default function(SimpleGraph) {
     /*
      * Find x-intercept (on either y-axis min or max).using simple binary search
      */
-    SimpleGraph.prototype._findIntercept = function(f, x1, x2, y2Axis) {
+    SimpleGraph.prototype._findIntercept = function(f, x1, x2, y2Axis, x2Axis) {
         var y1 = f(x1), 
             y2 = f(x2), 
             breakValue, 
             increasing, 
+            xAxis = x2Axis ? this.x2 : this.x, 
             yAxis = y2Axis ? this.y2 : this.y;
         if(y1 < yAxis.min !== y2 < yAxis.min) {
             breakValue = yAxis.min;
@@ -27,7 +28,7 @@ export default function(SimpleGraph) {
         while(i++ < 100) {
             y = f(x);
             diff = Math.abs(y - breakValue);
-            if(x >= this.x.min && x <= this.x.max && diff < 0.000001) {
+            if(x >= xAxis.min && x <= xAxis.max && diff < 0.000001) {
                 return [x, breakValue];
             }
             if(i > 0 && lastDiff < diff) {
@@ -55,9 +56,11 @@ export default function(SimpleGraph) {
 
     /*
      * Split line into segments based on it crossing in/out of the graph bounds. This version works on line coordinates, traversing through coordinates and tracking as it enters or leaves domain.
+     * Segments are also split at axis breaks (only x-axis breaks if specified).
      */
-    SimpleGraph.prototype._getLineSegmentsFromCoordinates = function(lineCoords, y2Axis) {
-        var yAxis       = y2Axis ? this.y2 : this.y, 
+    SimpleGraph.prototype._getLineSegmentsFromCoordinates = function(lineCoords, y2Axis, x2Axis, xBreaksOnly) {
+        var xAxis       = x2Axis ? this.x2 : this.x, 
+            yAxis       = y2Axis ? this.y2 : this.y, 
             segments    = [], 
             segment     = [], 
             lastCoords  = null, 
@@ -81,12 +84,12 @@ export default function(SimpleGraph) {
 
             // search for x-domain crossings, if it hasn't yet entered graph area
             if(!crossedXMin) {
-                if(coords[0] >= this.x.min) {
+                if(coords[0] >= xAxis.min) {
                     crossedXMin = true;
-                    if(coords[0] > this.x.min && lastCoords) {
+                    if(coords[0] > xAxis.min && lastCoords) {
                         // get y-intercept on x-domain-min, add if within range
                         var intercept = [
-                            this.x.min, 
+                            xAxis.min, 
                             lastCoords[0] + slope*(coords[1] - lastCoords[1])
                         ];
                         if(intercept[1] >= yAxis.min && intercept[1] <= yAxis.max) {
@@ -102,14 +105,14 @@ export default function(SimpleGraph) {
                 lastCoords = coords;
                 continue;
             }
-            if(!crossedXMax && coords[0] >= this.x.max) {
+            if(!crossedXMax && coords[0] >= xAxis.max) {
                 crossedXMax = true;
-                if(coords[0] > this.x.max) {
+                if(coords[0] > xAxis.max) {
                     // if no last coords, this is just a point outside
                     if(!lastCoords) break;
                     // interpolate back to x-max
                     coords = [
-                        this.x.max, 
+                        xAxis.max, 
                         lastCoords[0] + slope*(coords[1] - lastCoords[1])
                     ];
                 }
@@ -122,12 +125,12 @@ export default function(SimpleGraph) {
                     if(slope !== 0) {
                         // get y-intercept
                         var yTarget = slope > 0 ? yAxis.min : yAxis.max;
-                        var lastX = this.x.isDate ? lastCoords[0].getTime() : lastCoords[0];
+                        var lastX = xAxis.isDate ? lastCoords[0].getTime() : lastCoords[0];
                         coords = [
                             lastX + (yTarget - lastCoords[1])/slope, 
                             yTarget
                         ];
-                        if(this.x.isDate) coords[0] = new Date(coords[0]);
+                        if(xAxis.isDate) coords[0] = new Date(coords[0]);
                         // force repeat of the coords that original came in for this loop (intercept will become last)
                         c--;
                     }
@@ -139,12 +142,12 @@ export default function(SimpleGraph) {
                 if(segment.length > 0) {
                     // yet y-intercept
                     var yTarget = slope > 0 ? yAxis.max : yAxis.min;
-                    var lastX = this.x.isDate ? lastCoords[0].getTime() : lastCoords[0];
+                    var lastX = xAxis.isDate ? lastCoords[0].getTime() : lastCoords[0];
                     coords = [
                         lastX + (yTarget - lastCoords[1])/slope, 
                         yTarget
                     ];
-                    if(this.x.isDate) coords[0] = new Date(coords[0]);
+                    if(xAxis.isDate) coords[0] = new Date(coords[0]);
                     // add to segment
                     segment.push(coords);
                 }
@@ -163,18 +166,119 @@ export default function(SimpleGraph) {
         // always add last segment (if valid)
         if(segment.length > 1) segments.push(segment);
 
-        return segments;
+        return this._splitSegmentsAtBreaks(segments, y2Axis, x2Axis, xBreaksOnly);
+    };
+
+    /*
+     * Decimate line segments (after clipping) down to what can be resolved at the pixel width they span. Methods are 
+     * largest-triangle-three-buckets ("lttb"), which keeps the visual shape with about one coordinate per pixel, or 
+     * "minmax", which keeps the first, last, min, and max coordinates in each pixel column, preserving extremes.
+     */
+    SimpleGraph.prototype._decimateLineSegments = function(line) {
+        if(!line.decimate || !line._segments) return line._segments;
+        var xAxis = line.x2 ? this.x2 : this.x, 
+            yAxis = line.y2 ? this.y2 : this.y, 
+            decimate = line.decimate === "minmax" ? "_decimateMinMax" : "_decimateLttb";
+        return line._segments.map(segment => {
+            // unclipped segments (when drawing beyond graph) may have null breaks, so decimate between breaks
+            let decimated = [], 
+                run = [], 
+                flush = () => {
+                    if(!run.length) return;
+                    let px = run.map(c => xAxis.scale(c[0])), 
+                        py = run.map(c => yAxis.scale(c[1]));
+                    this[decimate](run, px, py).forEach(c => decimated.push(c));
+                    run = [];
+                };
+            segment.forEach(c => {
+                if(c[1] === null || typeof c[1] === "undefined") {
+                    flush();
+                    decimated.push(c);
+                } else {
+                    run.push(c);
+                }
+            });
+            flush();
+            return decimated;
+        });
+    };
+
+    SimpleGraph.prototype._decimateLttb = function(coords, px, py) {
+        var n         = coords.length, 
+            span      = px.reduce((r, x) => [Math.min(r[0], x), Math.max(r[1], x)], [Infinity, -Infinity]), 
+            threshold = Math.max(3, Math.ceil(span[1] - span[0])), 
+            sampled   = [coords[0]], 
+            every     = (n - 2)/(threshold - 2), 
+            a         = 0;
+        if(n <= threshold) return coords;
+        for(let i = 0; i < threshold - 2; ++i) {
+            // average of next bucket is the third vertex of the triangle
+            let avgStart = Math.floor((i + 1)*every) + 1, 
+                avgEnd   = Math.min(Math.floor((i + 2)*every) + 1, n), 
+                avgX     = 0, 
+                avgY     = 0;
+            for(let j = avgStart; j < avgEnd; ++j) {
+                avgX += px[j];
+                avgY += py[j];
+            }
+            avgX /= avgEnd - avgStart;
+            avgY /= avgEnd - avgStart;
+            // select point in this bucket forming the largest triangle with last selected point and next average
+            let maxArea = -1, 
+                next    = a + 1;
+            for(let j = Math.floor(i*every) + 1, end = Math.floor((i + 1)*every) + 1; j < end; ++j) {
+                let area = Math.abs((px[a] - avgX)*(py[j] - py[a]) - (px[a] - px[j])*(avgY - py[a]));
+                if(area > maxArea) {
+                    maxArea = area;
+                    next = j;
+                }
+            }
+            sampled.push(coords[next]);
+            a = next;
+        }
+        sampled.push(coords[n-1]);
+        return sampled;
+    };
+
+    SimpleGraph.prototype._decimateMinMax = function(coords, px, py) {
+        var sampled = [], 
+            start   = 0;
+        // consecutive coordinates in the same pixel column are a bucket
+        for(let i = 1; i <= coords.length; ++i) {
+            if(i < coords.length && Math.floor(px[i]) === Math.floor(px[start])) continue;
+            let min = start, 
+                max = start;
+            for(let j = start + 1; j < i; ++j) {
+                if(py[j] < py[min]) min = j;
+                if(py[j] > py[max]) max = j;
+            }
+            // keep in original order, without repeats
+            [start, min, max, i - 1]
+                .sort((a, b) => a - b)
+                .forEach((j, k, keep) => {
+                    if(!k || j !== keep[k-1]) sampled.push(coords[j]);
+                });
+            start = i;
+        }
+        return sampled;
     };
 
     /*
      * Split line into segments based on it crossing in/out of the graph bounds. This version works on line as function, traversing through coordinates by resolution and tracking as it enters or leaves domain.
+     * If limited to graph range, segments are also split at axis breaks (only x-axis breaks if specified).
      */
-    SimpleGraph.prototype._getLineSegmentsFromFunction = function(lineFunction, resolution, xRange, y2Axis, limitToGraphRange) {
+    SimpleGraph.prototype._getLineSegmentsFromFunction = function(
+        lineFunction, resolution, xRange, y2Axis, limitToGraphRange, x2Axis, xBreaksOnly
+    ) {
+        var xAxis = x2Axis ? this.x2 : this.x;
         if(!xRange) {
-            xRange = [this.x.min, this.x.max];
+            xRange = [xAxis.min, xAxis.max];
         } else {
-            if(xRange[0] < this.x.min) { xRange[0] = this.x.min; }
-            if(xRange[1] > this.x.max) { xRange[0] = this.x.max; }
+            // copy so clamping to current domain doesn't modify the line's own x-range
+            xRange = [
+                xRange[0] < xAxis.min ? xAxis.min : xRange[0], 
+                xRange[1] > xAxis.max ? xAxis.max : xRange[1]
+            ];
         }
         if(!resolution || typeof resolution !== "number") {
             resolution = Math.floor((this.width - this.margins.left - this.margins.right) / 10);
@@ -183,10 +287,10 @@ export default function(SimpleGraph) {
 
         // how increments down the line are handled
         var incrementFunc;
-        if(!this.x.isLog) {
+        if(!xAxis.isLog) {
             // if not log-scale, standard increment (this works for dates too)
             var increment = (xRange[1] - xRange[0])/(resolution-1), 
-                isDate = this.x.isDate;
+                isDate = xAxis.isDate;
             // standard increment function
             incrementFunc = function(n) {
                 return isDate ? new DateUTC(n.getTime() + increment) : n + increment;
@@ -223,7 +327,7 @@ export default function(SimpleGraph) {
                 // case: first point of new segment
                 if(segment.length === 0 && x > xRange[0]) {
                     // get y-intercept
-                    var intercept = this._findIntercept(lineFunction, lastX, x, y2Axis);
+                    var intercept = this._findIntercept(lineFunction, lastX, x, y2Axis, x2Axis);
                     if(intercept) {
                         segment.push(intercept);
                     }
@@ -234,7 +338,7 @@ export default function(SimpleGraph) {
                 // case: ending segment with last point outside of range
                 if(segment.length > 0) {
                     // yet y-intercept
-                    var intercept = this._findIntercept(lineFunction, lastX, x, y2Axis);
+                    var intercept = this._findIntercept(lineFunction, lastX, x, y2Axis, x2Axis);
                     if(intercept) {
                         segment.push(intercept);
                     }
@@ -254,33 +358,37 @@ export default function(SimpleGraph) {
         // always attempt to add last segment
         if(segment.length > 1) segments.push(segment);
 
-        return segments;
+        return limitToGraphRange ? this._splitSegmentsAtBreaks(segments, y2Axis, x2Axis, xBreaksOnly) : segments;
     };
 
-    SimpleGraph.prototype._getAreaPolysFromCoordinates = function(areaCoordinates, y2Axis) {
+    SimpleGraph.prototype._getAreaPolysFromCoordinates = function(areaCoordinates, y2Axis, x2Axis) {
         var lineA = [], 
             lineB = [];
         for(var i = 0; i < areaCoordinates.length; i++) {
             lineA.push([areaCoordinates[i][0], areaCoordinates[i][1]]);
             lineB.push([areaCoordinates[i][0], areaCoordinates[i][2]]);
         }
-        return this._getAreaPolysFromLineCrosswalk(
-            this._getLineSegmentsFromCoordinates(lineA, y2Axis), 
-            this._getLineSegmentsFromCoordinates(lineB, y2Axis), 
+        // bounding lines only split at x-axis breaks, so both split at the same x-values, with the paired polygons
+        // then split at y-axis breaks
+        return this._splitAreaPolysAtBreaks(
+            this._getAreaPolysFromLineCrosswalk(
+                this._getLineSegmentsFromCoordinates(lineA, y2Axis, x2Axis, true), 
+                this._getLineSegmentsFromCoordinates(lineB, y2Axis, x2Axis, true), 
+                y2Axis
+            ), 
             y2Axis
         );
     };
 
-    SimpleGraph.prototype._getAreasPolysFromFunctions = function(funcA, funcB, resolution, xRange, y2Axis, limitToGraphRange) {
+    SimpleGraph.prototype._getAreasPolysFromFunctions = function(
+        funcA, funcB, resolution, xRange, y2Axis, limitToGraphRange, x2Axis
+    ) {
         var lines = [
-            this._getLineSegmentsFromFunction(funcA, resolution, xRange, y2Axis, limitToGraphRange), 
-            this._getLineSegmentsFromFunction(funcB, resolution, xRange, y2Axis, limitToGraphRange)
+            this._getLineSegmentsFromFunction(funcA, resolution, xRange, y2Axis, limitToGraphRange, x2Axis, true), 
+            this._getLineSegmentsFromFunction(funcB, resolution, xRange, y2Axis, limitToGraphRange, x2Axis, true)
         ];
-        return this._getAreaPolysFromLineCrosswalk(
-            this._getLineSegmentsFromFunction(funcA, resolution, xRange, y2Axis, limitToGraphRange), 
-            this._getLineSegmentsFromFunction(funcB, resolution, xRange, y2Axis, limitToGraphRange), 
-            y2Axis
-        );
+        var polys = this._getAreaPolysFromLineCrosswalk(lines[0], lines[1], y2Axis);
+        return limitToGraphRange ? this._splitAreaPolysAtBreaks(polys, y2Axis) : polys;
     };
 
     SimpleGraph.prototype._getAreaPolysFromLineCrosswalk = function(lineA, lineB, y2Axis) {
@@ -288,7 +396,7 @@ export default function(SimpleGraph) {
             areaCoords = [], 
             li = [0, 0], 
             ci = [0, 0], 
-            endOfLines = [false, false], 
+            endOfLines = [!lineA.length, !lineB.length], 
             endOfCoords = [false, false], 
             coordA, coordB;
         while(true) {
@@ -1,5 +1,3 @@
-import shapes from "./sg.point.shapes";
-
 export default function(SimpleGraph, d3) {
 
     SimpleGraph.prototype.removeAllLines = function(series) {
@@ -10,9 +8,10 @@ export default function(SimpleGraph, d3) {
         let removed;
         if(series === null || typeof series === "undefined") {
             removed = this.svgGraph.selectAll(".sg-line").remove();
+            delete this._drawn.lines;
         } else {
-            removed = Array.isArray(series) ? series : [series];
-            this.svgGraph.selectAll(".sg-line")
+            series = Array.isArray(series) ? series : [series];
+            removed = this.svgGraph.selectAll(".sg-line")
                 .filter(d => ~series.indexOf(d.series))
                 .remove();
         }
@@ -27,11 +26,14 @@ export default function(SimpleGraph, d3) {
         let removed;
         if(series === null || typeof series === "undefined") {
             removed = this.svgGraph.selectAll(".sg-point-line").remove();
+            this._removeCanvasLayer("pointLines");
+            delete this._drawn.pointLines;
         } else {
-            removed = Array.isArray(series) ? series : [series];
-            this.svgGraph.selectAll(".sg-point-line")
+            series = Array.isArray(series) ? series : [series];
+            removed = this.svgGraph.selectAll(".sg-point-line")
                 .filter(d => ~series.indexOf(d.series))
                 .remove();
+            this._removeCanvasSeries("pointLines", series);
         }
         removed.each(d => {
             d._segments = null;
@@ -45,6 +47,7 @@ export default function(SimpleGraph, d3) {
     };
 
     SimpleGraph.prototype.drawLines = function(resolution, transition) {
+        this._refitAutoAxes();
         this.removeLines();
         // default and enforced minimum resolution for resolving from function
         if(!resolution && resolution !== 0) {
@@ -52,7 +55,8 @@ export default function(SimpleGraph, d3) {
         } else if(resolution <= 2) {
             resolution = 2;
         }
-        if(!this.lines) return this;
+        this._drawn.lines = {resolution: resolution};
+        if(!this.lines) return this._emitDrawn("draw", "lines", transition);
 
         var self = this;
         this.lines.forEach(line => {
@@ -61,37 +65,48 @@ export default function(SimpleGraph, d3) {
                     line.lineFunction, 
                     resolution, 
                     line.xRange, 
-                    line.y2Axis, 
-                    !self.allowDrawBeyondGraph
+                    line.y2, 
+                    !self.allowDrawBeyondGraph, 
+                    line.x2
                 );
             } else if(self.allowDrawBeyondGraph) {
                 line._segments = [line.coords];
             } else {
-                line._segments = self._getLineSegmentsFromCoordinates(line.coords, line.y2);
+                line._segments = self._getLineSegmentsFromCoordinates(line.coords, line.y2, line.x2);
             }
             if(line._segments) line._segments = line._segments.filter(s => s && s.length >= 2);
+            line._segments = self._decimateLineSegments(line);
+            if(self._isSeriesHidden(line.series, "lines")) line._segments = [];
         });
-        this._drawLines(this.lines, "sg-line");
+        this._drawLines(this.lines.filter(line => line._segments && line._segments.length), "sg-line");
 
-        return this;
+        return this._emitDrawn("draw", "lines", transition);
     };
 
     SimpleGraph.prototype.drawPointLines = function(transition) {
+        this._refitAutoAxes();
         this.removePointLines();
-        if(!this.pointLines) return this;
+        this._drawn.pointLines = {};
+        if(!this.pointLines) return this._emitDrawn("draw", "pointLines", transition);
 
         var self = this;
         this.pointLines.forEach(line => {
             if(self.allowDrawBeyondGraph) {
                 line._segments = [line.coords];
             } else {
-                line._segments = self._getLineSegmentsFromCoordinates(line.coords, line.y2);
+                line._segments = self._getLineSegmentsFromCoordinates(line.coords, line.y2, line.x2);
             }
             if(line._segments) line._segments = line._segments.filter(s => s && s.length >= 2);
+            line._segments = self._decimateLineSegments(line);
+            if(self._isSeriesHidden(line.series, "points")) line._segments = [];
         });
-        this._drawLines(this.pointLines, "sg-point-line", transition);
+        if(this._usePointCanvas()) {
+            this._renderPointLineCanvas(this.pointLines);
+            return this._emitDrawn("draw", "pointLines", transition);
+        }
+        this._drawLines(this.pointLines.filter(line => line._segments && line._segments.length), "sg-point-line", transition);
 
-        return this;
+        return this._emitDrawn("draw", "pointLines", transition);
     };
 
     SimpleGraph.prototype.drawUpdateAllLines = function(resolution, transition) {
@@ -99,6 +114,7 @@ export default function(SimpleGraph, d3) {
     };
 
     SimpleGraph.prototype.drawUpdateLines = function(resolution, transition) {
+        this._refitAutoAxes();
         // defaults
         if(!resolution && resolution !== 0) {
             resolution = 20;
@@ -112,6 +128,7 @@ export default function(SimpleGraph, d3) {
             transition.duration = transition.duration || 200;
             transition.ease = transition.ease || d3.easePolyOut;
         }
+        this._drawn.lines = {resolution: resolution};
 
         var self = this;
         this.lines.forEach(line => {
@@ -120,22 +137,26 @@ export default function(SimpleGraph, d3) {
                     line.lineFunction, 
                     resolution, 
                     line.xRange, 
-                    line.y2Axis, 
-                    !self.allowDrawBeyondGraph
+                    line.y2, 
+                    !self.allowDrawBeyondGraph, 
+                    line.x2
                 );
             } else if(self.allowDrawBeyondGraph) {
                 line._segments = [line.coords];
             } else {
-                line._segments = self._getLineSegmentsFromCoordinates(line.coords, line.y2);
+                line._segments = self._getLineSegmentsFromCoordinates(line.coords, line.y2, line.x2);
             }
             if(line._segments) line._segments = line._segments.filter(s => s && s.length >= 2);
+            line._segments = self._decimateLineSegments(line);
+            if(self._isSeriesHidden(line.series, "lines")) line._segments = [];
         });
         self._updateLines(this.lines, "sg-line", transition);
 
-        return this;
+        return this._emitDrawn("drawupdate", "lines", transition);
     };
 
     SimpleGraph.prototype.drawUpdatePointLines = function(transition) {
+        this._refitAutoAxes();
         // defaults
         if(transition) {
             if(Object.getPrototypeOf(transition) !== Object.prototype) {
@@ -144,19 +165,26 @@ export default function(SimpleGraph, d3) {
             transition.duration = transition.duration || 200;
             transition.ease = transition.ease || d3.easePolyOut;
         }
+        this._drawn.pointLines = {};
 
         var self = this;
         this.pointLines.forEach(line => {
             if(self.allowDrawBeyondGraph) {
                 line._segments = [line.coords];
             } else {
-                line._segments = self._getLineSegmentsFromCoordinates(line.coords, line.y2);
+                line._segments = self._getLineSegmentsFromCoordinates(line.coords, line.y2, line.x2);
             }
             if(line._segments) line._segments = line._segments.filter(s => s && s.length >= 2);
+            line._segments = self._decimateLineSegments(line);
+            if(self._isSeriesHidden(line.series, "points")) line._segments = [];
         });
+        if(this._usePointCanvas()) {
+            this._renderPointLineCanvas(this.pointLines);
+            return this._emitDrawn("drawupdate", "pointLines", transition);
+        }
         self._updateLines(this.pointLines, "sg-point-line", transition);
 
-        return this;
+        return this._emitDrawn("drawupdate", "pointLines", transition);
     };
 
     SimpleGraph.prototype._drawLines = function(lines, className, transition) {
@@ -169,9 +197,10 @@ export default function(SimpleGraph, d3) {
                 .style("opacity", transition ? 0 : 1)
                 .style("fill", 'none')
                 .attr("d", d => {
-                    let yAxis = d.y2 ? this.y2 : this.y, 
+                    let xAxis = d.x2 ? this.x2 : this.x, 
+                        yAxis = d.y2 ? this.y2 : this.y, 
                         d3line = d3.line()
-                            .x(c => this.x.scale(c[0]))
+                            .x(c => xAxis.scale(c[0]))
                             .y(c => yAxis.scale(c[1]))
                             .curve(d.interpolate);
                     return d._segments.reduce(
@@ -196,6 +225,7 @@ export default function(SimpleGraph, d3) {
                     // attach
                     d._d3s = nLine;
                 });
+        this._describeElements(addedLines, className === "sg-line" ? "lines" : "pointLines");
         // animate
         if(transition) {
             if(Object.getPrototypeOf(transition) !== Object.prototype) {
@@ -216,7 +246,7 @@ export default function(SimpleGraph, d3) {
         // remove, while also filter for new lines
         var newLines = lines.filter(line => {
             if(!line._segments || !line._segments.length || line._segments.filter(c => c.length < 2).length) {
-                if(segments._d3s) {
+                if(line._d3s) {
                     line._d3s.remove();
                     line._d3s = null;
                 }
@@ -227,14 +257,16 @@ export default function(SimpleGraph, d3) {
         
         // modify existing lines, transition if necessary
         var sel = this.svgGraph.selectAll("."+className);
+        this._describeElements(sel, className === "sg-line" ? "lines" : "pointLines");
         if(transition) {
             sel = sel.transition().duration(transition.duration).ease(transition.ease);
         }
         var self = this;
         sel.attr("d", d => {
-                var yAxis = d.y2 ? this.y2 : this.y, 
+                var xAxis = d.x2 ? this.x2 : this.x, 
+                    yAxis = d.y2 ? this.y2 : this.y, 
                     d3line = d3.line()
-                        .x(c => this.x.scale(c[0]))
+                        .x(c => xAxis.scale(c[0]))
                         .y(c => yAxis.scale(c[1]))
                         .curve(d.interpolate);
                 return d._segments.reduce(
@@ -265,9 +297,10 @@ export default function(SimpleGraph, d3) {
                 .style("opacity", transition ? 0 : 1)
                 .style("fill", 'none')
                 .attr("d", d => {
-                    var yAxis = d.y2 ? self.y2 : self.y, 
+                    var xAxis = d.x2 ? self.x2 : self.x, 
+                        yAxis = d.y2 ? self.y2 : self.y, 
                         d3line = d3.line()
-                            .x(c => self.x.scale(c[0]))
+                            .x(c => xAxis.scale(c[0]))
                             .y(c => yAxis.scale(c[1]))
                             .curve(d.interpolate);
                     return d._segments.reduce(
@@ -292,6 +325,7 @@ export default function(SimpleGraph, d3) {
                     // attach
                     d._d3s = nLine;
                 });
+        this._describeElements(addedLines, className === "sg-line" ? "lines" : "pointLines");
         // animate
         if(transition) {
             transition.duration = transition.duration || 200;
@@ -1,39 +1,65 @@
 import shapes from "./sg.point.shapes";
 
+// class suffixes of built-in shapes (other shapes use the shape name)
+const POINT_CLASSES = {
+    "square":        "sd", 
+    "diamond":       "sd", 
+    "triangle":      "tu", 
+    "triangle-up":   "tu", 
+    "triangle-down": "td"
+};
+
 export default function(SimpleGraph, d3) {
 
     SimpleGraph.prototype.removePoints = function(series) {
         if(series === null || typeof series === "undefined") {
-            this.svgGraph.selectAll(".sg-point").remove();
+            this.svgGraph.selectAll(".sg-point, .sg-point-error").remove();
+            this._removeCanvasLayer("points");
+            delete this._drawn.points;
         } else {
             series = Array.isArray(series) ? series : [series];
-            this.svgGraph.selectAll(".sg-point")
+            this.svgGraph.selectAll(".sg-point, .sg-point-error")
                 .filter(d => ~series.indexOf(d.series))
                 .remove();
+            this._removeCanvasSeries("points", series);
         }
         return this;
     };
 
     SimpleGraph.prototype.drawPoints = function(showNulls, transition) {
+        this._refitAutoAxes();
+        // encoding scales refit to current data
+        this._encodingScales = null;
+        this._syncScaleLegends();
         this.removePoints();
+        this._drawn.points = {showNulls: showNulls};
 
-        if(!this.points || this.points.length === 0) return this;
+        if(!this.points || this.points.length === 0) return this._emitDrawn("draw", "points", transition);
 
         var drawPointsData = this.points;
         // if necessary, remove points that extend beyond graph
         if(!this.allowDrawBeyondGraph) {
             drawPointsData = drawPointsData.filter(d => {
                 if((!d.x && d.x !== 0) || Number.isNaN(d.x)) return false;
-                if(d.x < this.x.min || d.x > this.x.max) return false;
-                if(this.x.break && d.x > this.x.break.domain[0] && d.x < this.x.break.domain[1]) return false;
+                let xAxis = d.x2 ? this.x2 : this.x;
+                if(!xAxis || d.x < xAxis.min || d.x > xAxis.max) return false;
+                if(this._isInAxisBreak(xAxis, d.x)) return false;
                 if(!showNulls && isNaN(d.y)) return false;
                 let yAxis = d.y2 ? this.y2 : this.y;
                 if(d.y < yAxis.min || d.y > yAxis.max) return false;
-                if(yAxis.break && d.y > yAxis.break.domain[0] && d.y < yAxis.break.domain[1]) return false;
+                if(this._isInAxisBreak(yAxis, d.y)) return false;
                 return true;
             });
         }
-        if(!drawPointsData.length) return this;
+        drawPointsData = drawPointsData.filter(d => !this._isSeriesHidden(d.series, "points"));
+        if(!drawPointsData.length) return this._emitDrawn("draw", "points", transition);
+
+        if(this._usePointCanvas()) {
+            this._renderPointCanvas(drawPointsData);
+            return this._emitDrawn("draw", "points", transition);
+        }
+
+        this._drawPointErrors(drawPointsData, transition);
 
         var pointsDataBySeries = {};
         drawPointsData.forEach(d => {
@@ -52,15 +78,19 @@ export default function(SimpleGraph, d3) {
             );
         }
 
-        return this;
+        return this._emitDrawn("draw", "points", transition);
     };
 
     SimpleGraph.prototype.drawUpdatePoints = function(showNulls, transition) {
+        this._refitAutoAxes();
+        this._encodingScales = null;
+        this._syncScaleLegends();
         if(!this.points || this.points.length === 0) {
             this.removePoints();
             this.removePointLines();
-            return this;
+            return this._emitDrawn("drawupdate", "points", transition);
         }
+        this._drawn.points = {showNulls: showNulls};
 
         if(transition) {
             if(Object.getPrototypeOf(transition) !== Object.prototype) {
@@ -75,15 +105,28 @@ export default function(SimpleGraph, d3) {
         if(!this.allowDrawBeyondGraph) {
             drawPointsData = drawPointsData.filter(d => {
                 if((!d.x && d.x !== 0) || Number.isNaN(d.x)) return false;
-                if(d.x < this.x.min || d.x > this.x.max) return false;
-                if(this.x.break && d.x > this.x.break.domain[0] && d.x < this.x.break.domain[1]) return false;
+                let xAxis = d.x2 ? this.x2 : this.x;
+                if(!xAxis || d.x < xAxis.min || d.x > xAxis.max) return false;
+                if(this._isInAxisBreak(xAxis, d.x)) return false;
                 if(!showNulls && isNaN(d.y)) return false;
                 let yAxis = d.y2 ? this.y2 : this.y;
                 if(d.y < yAxis.min || d.y > yAxis.max) return false;
-                if(yAxis.break && d.y > yAxis.break.domain[0] && d.y < yAxis.break.domain[1]) return false;
+                if(this._isInAxisBreak(yAxis, d.y)) return false;
                 return true;
             });
         }
+        drawPointsData = drawPointsData.filter(d => !this._isSeriesHidden(d.series, "points"));
+
+        if(this._usePointCanvas()) {
+            this._renderPointCanvas(drawPointsData);
+            return this._emitDrawn("drawupdate", "points", transition);
+        }
+
+        // remove drawn points no longer in the drawable data (including entire series now out of bounds)
+        var drawPointsSet = new Set(drawPointsData);
+        this.svgGraph.selectAll(".sg-point").filter(d => !drawPointsSet.has(d)).remove();
+
+        this._drawPointErrors(drawPointsData, transition);
 
         var pointsDataBySeries = {};
         drawPointsData.forEach(d => {
@@ -120,28 +163,104 @@ export default function(SimpleGraph, d3) {
             this._updatePoints(selection, shape, transition);
         }
 
-        return this;
+        return this._emitDrawn("drawupdate", "points", transition);
+    };
+
+    /*
+     * Draw (or draw-update) error bars for given points. Error bars are inserted beneath any drawn points.
+     */
+    SimpleGraph.prototype._drawPointErrors = function(drawPointsData, transition) {
+        var errorData = drawPointsData.filter(d => (d.xError || d.yError) && !isNaN(d.y)), 
+            errorSet = new Set(errorData), 
+            selection = this.svgGraph.selectAll(".sg-point-error");
+
+        // remove error bars that no longer exist and reselect (for those that will need modifying)
+        selection.filter(d => !errorSet.has(d)).remove();
+        selection = selection.filter(d => errorSet.has(d));
+
+        // add new error bars
+        var drawnSet = new Set(selection.data()), 
+            items = this.svgGraph.selectAll(".sg-temporary-point-error")
+                .data(errorData.filter(d => !drawnSet.has(d)))
+                .enter()
+                .insert("path", ".sg-point")
+                    .attr("class", "sg-point-error")
+                    .attr("series", d => d.series)
+                    .style("fill", "none")
+                    .style("stroke-width", 1)
+                    .style("opacity", transition ? 0 : 1);
+
+        if(transition) {
+            if(Object.getPrototypeOf(transition) !== Object.prototype) {
+                transition = {};
+            }
+            transition.duration = transition.duration || 200;
+            transition.ease = transition.ease || d3.easePolyOut;
+            this._formatPointError(items);
+            items.transition().duration(transition.duration).ease(transition.ease)
+                .style("opacity", 1);
+            if(selection.size()) {
+                this._formatPointError(
+                    selection.transition().duration(transition.duration).ease(transition.ease)
+                );
+            }
+        } else {
+            this._formatPointError(items);
+            this._formatPointError(selection);
+        }
+    };
+
+    SimpleGraph.prototype._formatPointError = function(selc) {
+        selc.attr("d", d => this._getPointErrorPath(d))
+            .style("stroke", d => this._getPointColor(d));
+        return selc;
+    };
+
+    /*
+     * Get SVG path of error bar whiskers for a point. Whiskers are clipped at the axis bounds (in which case no cap is 
+     * drawn on the clipped end).
+     */
+    SimpleGraph.prototype._getPointErrorPath = function(d) {
+        var xAxis = d.x2 ? this.x2 : this.x, 
+            yAxis = d.y2 ? this.y2 : this.y, 
+            px = xAxis.scale(d.x), 
+            py = yAxis.scale(d.y), 
+            hc = 0.5*d.errorCap, 
+            path = "", 
+            clip = (value, axis) => {
+                if(!this.allowDrawBeyondGraph) {
+                    if(value < axis.min) return [axis.min, true];
+                    if(value > axis.max) return [axis.max, true];
+                }
+                // log scales can't go to zero or negative
+                if(axis.isLog && value <= 0) return [axis.min, true];
+                return [value, false];
+            };
+        if(d.yError) {
+            let lo = clip(d.y - d.yError[0], yAxis), 
+                hi = clip(d.y + d.yError[1], yAxis), 
+                plo = yAxis.scale(lo[0]), 
+                phi = yAxis.scale(hi[0]);
+            path += `M${px},${plo}L${px},${phi}`;
+            if(hc && !lo[1]) path += `M${px-hc},${plo}L${px+hc},${plo}`;
+            if(hc && !hi[1]) path += `M${px-hc},${phi}L${px+hc},${phi}`;
+        }
+        if(d.xError) {
+            let lo = clip(d.x - d.xError[0], xAxis), 
+                hi = clip(+d.x + d.xError[1], xAxis), 
+                plo = xAxis.scale(lo[0]), 
+                phi = xAxis.scale(hi[0]);
+            path += `M${plo},${py}L${phi},${py}`;
+            if(hc && !lo[1]) path += `M${plo},${py-hc}L${plo},${py+hc}`;
+            if(hc && !hi[1]) path += `M${phi},${py-hc}L${phi},${py+hc}`;
+        }
+        return path;
     };
 
     SimpleGraph.prototype._drawPoints = function(selection, shape, transition) {
         if(!selection.size()) return;
-        var items;
-        switch(shape) {
-            case "triangle":
-            case "triangle-up":
-            case "triangle-down":
-                items = selection.append("polygon");
-                break;
-            case "square":
-            case "diamond":
-                items = selection.append("rect");
-                break;
-            default:
-            case "circle":
-                items = selection.append("circle");
-                break;
-        }
-        items = this._formatPoint(items, shape, transition);
+        var items = this._formatPoint(selection.append(this._getPointTag(shape)), shape, transition);
+        this._describeElements(items, "points");
         if(transition) {
             if(Object.getPrototypeOf(transition) !== Object.prototype) {
                 transition = {};
@@ -149,14 +268,39 @@ export default function(SimpleGraph, d3) {
             transition.duration = transition.duration || 200;
             transition.ease = transition.ease || d3.easePolyOut;
             items.transition().duration(transition.duration).ease(transition.ease)
-                .style("opacity", d => {
-                    return d.style && ('opacity' in d.style) ? d.style.opacity : 1;
-                });
+                .style("opacity", d => this._getPointOpacity(d));
         }
     };
 
+    /*
+     * Circles are drawn as circle elements, all other shapes as paths from their path generator.
+     */
+    SimpleGraph.prototype._getPointTag = function(shape) {
+        return shape && shape !== "circle" && shapes.has(shape) ? "path" : "circle";
+    };
+
+    /*
+     * Get SVG path of point shape, centered on x,y, from shape's path generator (see SimpleGraph.registerPointShape()).
+     */
+    SimpleGraph.prototype._getPointShapePath = function(shape, x, y, size) {
+        var path = d3.path();
+        (shapes.get(shape) || shapes.get("circle"))(path, x, y, size);
+        return path.toString();
+    };
+
+    /*
+     * Create (detached) SVG element for point, as would be drawn.
+     */
+    SimpleGraph.prototype._createPointNode = function(d) {
+        var shape = this.ptSeriesShapes[d.series], 
+            node = this.svg.node().ownerDocument.createElementNS("http://www.w3.org/2000/svg", this._getPointTag(shape));
+        this._formatPoint(d3.select(node).datum(d), shape);
+        return node;
+    };
+
     SimpleGraph.prototype._updatePoints = function(selection, shape, transition) {
         if(!selection.size()) return;
+        this._describeElements(selection, "points");
         if(transition) {
             if(Object.getPrototypeOf(transition) !== Object.prototype) {
                 transition = {};
@@ -169,85 +313,21 @@ export default function(SimpleGraph, d3) {
     };
 
     SimpleGraph.prototype._formatPoint = function(selc, shape, fadeIn) {
-        switch(shape) {
-            case "triangle-down":
-                selc.attr("series", d => d.series)
-                    .style("opacity", fadeIn ? 0 : 1)
-                    .attr("class", "sg-point sg-point-td")
-                    .attr("points", d => {
-                        let size = size = typeof d.size === "function" ? d.size() : d.size, 
-                            length = size*1.519676,   // side length of equilateral trangle of same area of square
-                            height = length*0.86602,  // ratio of equilateral triangle
-                            hh = 0.5*height, 
-                            hl = 0.5*length, 
-                            x = this.x.scale(d.x), 
-                            y = isNaN(d.y) ? 0 : d.y;
-                        y = (d.y2 ? this.y2.scale : this.y.scale)(y);
-                        return `${x-hl},${y+hh} ${x},${y-hh} ${x+hl},${y+hh}`;
-                    });
-                break;
-            case "triangle":
-            case "triangle-up":
-                selc.attr("series", d => d.series)
-                    .style("opacity", fadeIn ? 0 : 1)
-                    .attr("class", "sg-point sg-point-tu")
-                    .attr("points", d => {
-                        let size = size = typeof d.size === "function" ? d.size(d, d._bind) : d.size, 
-                            length = size*1.519676,   // side length of equilateral trangle of same area of square
-                            height = length*0.86602,  // ratio of equilateral triangle
-                            hh = 0.5*height, 
-                            hl = 0.5*length, 
-                            x = this.x.scale(d.x), 
-                            y = isNaN(d.y) ? 0 : d.y;
-                        y = (d.y2 ? this.y2.scale : this.y.scale)(y);
-                        return `${x-hl},${y-hh} ${x},${y+hh} ${x+hl},${y-hh}`;
-                    });
-                break;
-            case "square":
-            case "diamond":
-                selc.attr("series", d => d.series)
-                    .style("opacity", fadeIn ? 0 : 1)
-                    .attr("class", "sg-point sg-point-sd")
-                    .attr("width", d => (typeof d.size === "function") ? d.size() : d.size)
-                    .attr("height", d => (typeof d.size === "function") ? d.size() : d.size)
-                    .attr("x", d => {
-                        let size = (typeof d.size === "function") ? d.size() : d.size;
-                        return this.x.scale(d.x)-size/2.0;
-                    })
-                    .attr("y", d => {
-                        let y = isNaN(d.y) ? 0 : d.y, 
-                            size = (typeof d.size === "function") ? d.size() : d.size;
-                        return (d.y2 ? this.y2.scale : this.y.scale)(d.y)-size/2.0;
-                    })
-                    .attr("transform", d => {
-                        if(shape !== "diamond") return "";
-                        let y = isNaN(d.y) ? 0 : d.y;
-                        return `rotate(45,${this.x.scale(d.x)},${(d.y2 ? this.y2.scale : this.y.scale)(y)})`
-                    });
-                break;
-            default:
-            case "circle":
-                selc.style("opacity", fadeIn ? 0 : 1)
-                    .attr("series", d => d.series)
-                    .attr("class", "sg-point sg-point-cr")
-                    .attr("r", d => (
-                        0.5*(typeof d.size === "function" ? d.size(d) : d.size)
-                    ))
-                    .attr("cx", d => this.x.scale(d.x))
-                    .attr("cy", d => {
-                        let y = isNaN(d.y) ? 0 : d.y;
-                        return (d.y2 ? this.y2.scale : this.y.scale)(y);
-                    });
-                break;
+        var circle = this._getPointTag(shape) === "circle", 
+            getX = d => (d.x2 ? this.x2.scale : this.x.scale)(d.x), 
+            getY = d => (d.y2 ? this.y2.scale : this.y.scale)(isNaN(d.y) ? 0 : d.y);
+        selc.style("opacity", d => fadeIn ? 0 : this._getPointOpacity(d))
+            .attr("series", d => d.series)
+            .attr("class", `sg-point sg-point-${circle ? "cr" : (POINT_CLASSES[shape] || shape)}`);
+        if(circle) {
+            selc.attr("r", d => 0.5*this._getPointSize(d))
+                .attr("cx", getX)
+                .attr("cy", getY);
+        } else {
+            selc.attr("d", d => this._getPointShapePath(shape, getX(d), getY(d), this._getPointSize(d)));
         }
-        selc.style("fill", d => {
-                let color = this.getColorBySeriesName(d.series, true);
-                return typeof color === "function" ? color(d) : color;
-            })
-            .style("stroke", d => {
-                let color = this.getColorBySeriesName(d.series, true);
-                return typeof color === "function" ? color(d) : color;
-            });
+        selc.style("fill", d => this._getPointColor(d))
+            .style("stroke", d => this._getPointColor(d));
         return selc;
     };
 
@@ -0,0 +1,150 @@
+// events emitted by the graph
+const EVENTS = [
+    "axisreset", 
+    "dataadd", "dataupdate", "dataclear", 
+    "draw", "drawupdate", 
+    "pointclick", "pointhover", "pointleave", 
+    "lineclick", "linehover", "lineleave", 
+    "areaclick", "areahover", "arealeave", 
+    "legendclick", "legendhover", "legendleave", 
+    "selectionchange", 
+    "destroy"
+];
+// classes of drawn elements emitting mouse events, by element event prefix
+const ELEMENT_CLASSES = {
+    point: ["sg-point"], 
+    line:  ["sg-line", "sg-point-line"], 
+    area:  ["sg-area"]
+};
+
+export default function(SimpleGraph, d3) {
+
+    /*
+     * Parse event names, as space-separated list of event types, each with optional name after a period (e.g.
+     * "pointclick.table") to register under a namespace, as with D3 event listeners.
+     */
+    SimpleGraph.prototype._parseEventNames = function(events, allowEmptyType) {
+        return String(events).trim().split(/\s+/).map(event => {
+            let i = event.indexOf("."), 
+                type = (~i ? event.slice(0, i) : event).toLowerCase(), 
+                name = ~i ? event.slice(i+1) : "";
+            if(type ? !~EVENTS.indexOf(type) : !allowEmptyType) throw `Unknown graph event: ${event}`;
+            return {type: type, name: name};
+        });
+    };
+
+    /*
+     * Add event handler, called with the graph as this and an event object (with type, target as the graph, and
+     * details of the event). Multiple handlers may be added for the same event.
+     */
+    SimpleGraph.prototype.on = function(events, handler) {
+        if(typeof handler !== "function") throw `Graph event handler must be function: ${events}`;
+        this._listeners = this._listeners || [];
+        this._parseEventNames(events).forEach(event => {
+            this._listeners.push({type: event.type, name: event.name, handler: handler});
+            if(event.type.replace(/(click|hover|leave)$/, "") in ELEMENT_CLASSES) this._listenElementEvents();
+        });
+        return this;
+    };
+
+    /*
+     * Remove event handlers by event type and/or namespace (e.g. ".table" removes all in namespace), optionally only
+     * for the given handler. Without arguments, removes all handlers.
+     */
+    SimpleGraph.prototype.off = function(events, handler) {
+        if(!this._listeners) return this;
+        if(events === null || typeof events === "undefined") {
+            this._listeners = handler ? this._listeners.filter(l => l.handler !== handler) : [];
+            return this;
+        }
+        this._parseEventNames(events, true).forEach(event => {
+            this._listeners = this._listeners.filter(l => (
+                (event.type && l.type !== event.type)
+                || (event.name && l.name !== event.name)
+                || (handler && l.handler !== handler)
+            ));
+        });
+        return this;
+    };
+
+    SimpleGraph.prototype._emit = function(type, detail) {
+        if(!this._listeners || !this._listeners.length) return this;
+        var evt = Object.assign({type: type, target: this}, detail);
+        // copied as handlers may add or remove handlers
+        this._listeners.filter(l => l.type === type).forEach(l => l.handler.call(this, evt));
+        return this;
+    };
+
+    /*
+     * Emit data event (dataadd, dataupdate, or dataclear) for data type, with series as the list of affected series
+     * names (or null for all series).
+     */
+    SimpleGraph.prototype._emitData = function(type, dataType, series, detail) {
+        if(series === null || typeof series === "undefined") {
+            series = null;
+        } else {
+            series = (Array.isArray(series) ? series : [series]).map(String);
+        }
+        return this._emit(type, Object.assign({dataType: dataType, series: series}, detail));
+    };
+
+    /*
+     * Emit draw (or drawupdate) event for data type, once any transitions started by the draw end, also restyling the
+     * selection (as its highlights are copies of drawn elements). Uses an empty transition of the same timing
+     * (scheduled after, so ending after the others), which a later draw of the same type interrupts, so only the last
+     * draw emits. Returns self so may be returned from draw functions.
+     */
+    SimpleGraph.prototype._emitDrawn = function(type, dataType, transition) {
+        var name = `sg-drawn-${dataType}`, 
+            complete = () => {
+                this._styleSelection();
+                this._emit(type, {dataType: dataType});
+            };
+        this.svgGraph.interrupt(name);
+        if(!transition || (!this._hasSelection() && (!this._listeners || !this._listeners.length))) {
+            complete();
+            return this;
+        }
+        // highlights would be left behind by transitioning elements
+        this._removeSelectionStyle();
+        this.svgGraph.transition(name)
+            .duration(transition.duration || 200)
+            .on("end", complete);
+        return this;
+    };
+
+    /*
+     * Listen for mouse events on drawn points, lines, and areas, delegated from the graph group so elements drawn
+     * later are included.
+     */
+    SimpleGraph.prototype._listenElementEvents = function() {
+        if(this._listeningElements || !this.svgGraph) return;
+        this._listeningElements = true;
+        var find = target => {
+                if(!target || !target.classList) return null;
+                for(let element in ELEMENT_CLASSES) {
+                    if(ELEMENT_CLASSES[element].some(c => target.classList.contains(c))) return element;
+                }
+                return null;
+            }, 
+            emit = (event, evt) => {
+                let element = find(evt.target);
+                if(element) this._emitElementEvent(element, event, d3.select(evt.target).datum(), evt);
+            };
+        this.svgGraph
+            .on("click.sg-events", evt => emit("click", evt))
+            .on("mouseover.sg-events", evt => emit("hover", evt))
+            .on("mouseout.sg-events", evt => emit("leave", evt));
+    };
+
+    SimpleGraph.prototype._emitElementEvent = function(element, event, d, evt) {
+        if(!d) return;
+        this._emit(element + event, {
+            data:        d, 
+            series:      d.series, 
+            position:    evt ? d3.pointer(evt, this.svgGraph.node()) : null, 
+            sourceEvent: evt || null
+        });
+    };
+
+}
@@ -0,0 +1,185 @@
+// style properties inlined on export, with those not inherited mapped to their default value
+const INHERITED_STYLES = [
+    "fill", "fill-opacity", "fill-rule", "stroke", "stroke-width", "stroke-opacity", "stroke-dasharray", 
+    "stroke-linecap", "stroke-linejoin", "font-family", "font-size", "font-weight", "font-style", "text-anchor", 
+    "dominant-baseline", "visibility"
+];
+const NONINHERITED_STYLES = {"opacity": "1"};
+
+export default function(SimpleGraph, d3) {
+
+    SimpleGraph.prototype.toSvgString = function() {
+        var node = this._getExportSvgNode(), 
+            view = node.ownerDocument && node.ownerDocument.defaultView;
+        if(view && view.XMLSerializer) {
+            return (new view.XMLSerializer()).serializeToString(node);
+        }
+        return node.outerHTML;
+    };
+
+    /*
+     * Get copy of SVG node as standalone graphic for export. Computed styles (e.g. from page stylesheets) are inlined,
+     * CSS filters are swapped for SVG filter definitions, and interaction-only layers are removed.
+     */
+    SimpleGraph.prototype._getExportSvgNode = function() {
+        var original = this.svg.node(), 
+            node = original.cloneNode(true), 
+            view = original.ownerDocument && original.ownerDocument.defaultView;
+
+        // inline computed styles by walking original and clone in parallel (can't compute styles on detached clone),
+        // skipped when headless as there are no stylesheets and computing styles is slow
+        if(!this.headless && view && view.getComputedStyle && original.isConnected) {
+            let walk = (source, target, parentStyle) => {
+                let computed = view.getComputedStyle(source);
+                INHERITED_STYLES.forEach(key => {
+                    let value = computed.getPropertyValue(key);
+                    if(!value || target.style.getPropertyValue(key)) return;
+                    if(parentStyle && parentStyle[key] === value) return;
+                    target.style.setProperty(key, value);
+                });
+                for(let key in NONINHERITED_STYLES) {
+                    let value = computed.getPropertyValue(key);
+                    if(!value || value === NONINHERITED_STYLES[key] || target.style.getPropertyValue(key)) continue;
+                    target.style.setProperty(key, value);
+                }
+                let style = {};
+                INHERITED_STYLES.forEach(key => style[key] = computed.getPropertyValue(key));
+                for(let i = 0; i < source.children.length; ++i) {
+                    walk(source.children[i], target.children[i], style);
+                }
+            };
+            walk(original, node, null);
+        }
+
+        var clone = d3.select(node);
+        clone.selectAll(".sg-zoom-capture, .sg-brush, .sg-crosshair-capture, .sg-crosshair").remove();
+
+        // canvas layers are swapped for images, as canvas content isn't copied and embedded HTML isn't portable
+        var canvasLayers = d3.select(original).selectAll(".sg-canvas").nodes();
+        clone.selectAll(".sg-canvas").each(function(d, i) {
+            let layer = canvasLayers[i], 
+                image = this.ownerDocument.createElementNS("http://www.w3.org/2000/svg", "image");
+            ["class", "x", "y", "width", "height"].forEach(attr => image.setAttribute(attr, layer.getAttribute(attr)));
+            image.setAttributeNS(
+                "http://www.w3.org/1999/xlink", "xlink:href", layer.querySelector("canvas").toDataURL("image/png")
+            );
+            this.parentNode.replaceChild(image, this);
+        });
+
+        // CSS filter functions (as used by highlightLines()) aren't supported by most vector editors or converters
+        var brighten = clone.selectAll("*").filter(function() {
+            return this.style && /brightness\(/.test(this.style.getPropertyValue("filter"));
+        });
+        if(!brighten.empty()) {
+            let defs = clone.select("defs");
+            if(defs.empty()) defs = clone.insert("defs", ":first-child");
+            brighten.each(function() {
+                let amount = parseFloat(this.style.getPropertyValue("filter").match(/brightness\(([^)]*)\)/)[1]);
+                if(String(this.style.getPropertyValue("filter")).includes("%")) amount *= 0.01;
+                let id = "sg-effect-brightness-" + Math.round(100*amount);
+                if(defs.select("#" + id).empty()) {
+                    let transfer = defs.append("filter").attr("id", id).append("feComponentTransfer");
+                    ["feFuncR", "feFuncG", "feFuncB"].forEach(func => {
+                        transfer.append(func).attr("type", "linear").attr("slope", amount);
+                    });
+                }
+                d3.select(this).style("filter", null).attr("filter", `url('#${id}')`);
+            });
+        }
+
+        // carry over font (and any other styles set in constructor) on root, explicit size for standalone graphic
+        clone.attr("version", "1.1")
+            .attr("xmlns", "http://www.w3.org/2000/svg")
+            .attr("xmlns:xlink", "http://www.w3.org/1999/xlink")
+            .attr("width", this.containerWidth)
+            .attr("height", this.containerHeight)
+            .attr("viewBox", `0 0 ${this.containerWidth} ${this.containerHeight}`);
+        return node;
+    };
+
+    SimpleGraph.prototype.toBlob = function(options) {
+        options = options || {};
+        var format = (options.format || "svg").toLowerCase(), 
+            svgString = this.toSvgString();
+
+        if(format === "svg") {
+            return Promise.resolve(new Blob(
+                ['<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n' + svgString], 
+                {type: "image/svg+xml"}
+            ));
+        }
+        if(format !== "png") {
+            return Promise.reject(new Error(`Unsupported export format: ${format}`));
+        }
+        if(this.headless) {
+            return Promise.reject(new Error("PNG export requires a browser environment, use SVG format when headless"));
+        }
+
+        // scale factor for print resolution (relative to 96 DPI of CSS pixels)
+        var scale = options.scale || (options.dpi ? options.dpi/96.0 : 1), 
+            doc = this.svg.node().ownerDocument, 
+            canvas = doc.createElement("canvas"), 
+            img = new (doc.defaultView.Image)();
+        canvas.width = Math.round(this.containerWidth*scale);
+        canvas.height = Math.round(this.containerHeight*scale);
+
+        return new Promise((resolve, reject) => {
+            img.onload = () => {
+                let context = canvas.getContext("2d");
+                if(options.background) {
+                    context.fillStyle = options.background;
+                    context.fillRect(0, 0, canvas.width, canvas.height);
+                }
+                context.drawImage(img, 0, 0, canvas.width, canvas.height);
+                canvas.toBlob(
+                    blob => blob ? resolve(blob) : reject(new Error("Failed to rasterize graph")), 
+                    "image/png"
+                );
+            };
+            img.onerror = () => reject(new Error("Failed to rasterize graph"));
+            img.src = "data:image/svg+xml;base64," + btoa(unescape(encodeURIComponent(svgString)));
+        });
+    };
+
+    SimpleGraph.prototype.saveAsSvg = function(svgName) {
+        if(!svgName) { svgName = "graph.svg"; }
+        if(!svgName.toLowerCase().endsWith(".svg")) { svgName += ".svg"; }
+        return this.toBlob({format: "svg"}).then(blob => {
+            this._downloadBlob(blob, svgName);
+            return this;
+        });
+    };
+
+    SimpleGraph.prototype.saveAsPng = function(pngName, options) {
+        if(this.headless) {
+            return Promise.reject(new Error("saveAsPng() requires a browser environment, use toSvgString() when headless"));
+        }
+        if(!pngName) { pngName = "graph.png"; }
+        if(!pngName.toLowerCase().endsWith(".png")) { pngName += ".png"; }
+        options = Object.assign({}, options, {format: "png"});
+        return this.toBlob(options).then(blob => {
+            this._downloadBlob(blob, pngName);
+            return this;
+        });
+    };
+
+    SimpleGraph.prototype._downloadBlob = function(blob, filename) {
+        var doc = this.svg.node().ownerDocument, 
+            view = doc.defaultView;
+        // thrown within promise chain of saving, so as Error to reject with
+        if(!view || !view.URL || !view.URL.createObjectURL) {
+            throw new Error("Saving requires a browser environment supporting URL.createObjectURL");
+        }
+        var url = view.URL.createObjectURL(blob), 
+            a = doc.createElement("a");
+        a.style.display = "none";
+        a.download = filename;
+        a.href = url;
+        doc.body.appendChild(a);
+        a.click();
+        doc.body.removeChild(a);
+        // revoking immediately may cancel download in some browsers
+        setTimeout(() => view.URL.revokeObjectURL(url), 1000);
+    };
+
+}
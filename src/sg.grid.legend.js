@@ -1,43 +1,84 @@
- import shapes from "./sg.point.shapes";
+// layout of scale legends of point encodings within legend
+const LEGEND_SCALE_OPTIONS = {orientation: "horizontal", length: 120};
 
- export default function(SimpleGraph) {
+export default function(SimpleGraph, d3) {
 
-    SimpleGraph.prototype.drawGrid = function(style) {
-        this.svgGraph.selectAll(".sg-grid").remove();
+    SimpleGraph.prototype.drawGrid = function(style, options) {
+        this.removeGrid();
+        this._drawn.grid = {
+            style:   style ? Object.assign({}, style) : style, 
+            options: options ? Object.assign({}, options) : options
+        };
         // default styles
         let opacity = (style && style.opacity) ? parseFloat(style.opacity) : 0.4, 
             stroke = (style && style.stroke) ? style.stroke : "#555", 
             strokeWidth = (style && style['stroke-width']) ? parseFloat(style['stroke-width']) : 0.3;
         
         this.svgGraph.append("g")
-            .attr("class", "sg-grid")
+            .attr("class", "sg-grid sg-grid-x")
             .attr("transform", "translate(0," + this.height + ")")
             .style("opacity", opacity)
             .style("stroke", stroke)
             .style("stroke-width", strokeWidth)
-            .call(this.x.gridAxis.tickSize(-this.height).tickFormat(""));
+            .call(this._getGridXAxis().gridAxis.tickSize(-this.height).tickFormat(""));
         this.svgGraph.append("g")
-            .attr("class", "sg-grid")
+            .attr("class", "sg-grid sg-grid-y")
             .style("opacity", opacity)
             .style("stroke", stroke)
             .style("stroke-width", strokeWidth)
             .call(this.y.gridAxis.tickSize(-this.width).tickFormat(""));
+        this._drawGridBreaks();
         
         return this;
     };
 
+    /*
+     * Update already drawn grid lines in place, for when only the scale domains have changed.
+     */
+    SimpleGraph.prototype._updateGrid = function() {
+        this.svgGraph.select(".sg-grid-x")
+            .attr("transform", "translate(0," + this.height + ")")
+            .call(this._getGridXAxis().gridAxis.tickSize(-this.height).tickFormat(""));
+        this.svgGraph.select(".sg-grid-y").call(this.y.gridAxis.tickSize(-this.width).tickFormat(""));
+        this._drawGridBreaks();
+        return this;
+    };
+
+    /*
+     * Get x-axis vertical grid lines are drawn from, which may be the second x-axis if set so in grid options.
+     */
+    SimpleGraph.prototype._getGridXAxis = function() {
+        var options = this._drawn.grid && this._drawn.grid.options;
+        return (options && options.xAxis === "x2" && this.x2) ? this.x2 : this.x;
+    };
+
     SimpleGraph.prototype.removeGrid = function() {
         this.svgGraph.selectAll(".sg-grid").remove();
+        delete this._drawn.grid;
         return this;
     };
     
     SimpleGraph.prototype.removeLegend = function() {
         this.svg.selectAll(".sg-legend").remove();
+        ["color", "opacity"].forEach(channel => this._removeScaleLegendGradient("legend-" + channel));
+        if(this._htmlLegend) {
+            this._htmlLegend.remove();
+            this._htmlLegend = null;
+        }
+        delete this._drawn.legend;
         return this;
     };
     
     SimpleGraph.prototype.drawLegend = function(position, options) {
         this.removeLegend();
+        // copy of parameters to redraw with (as both are modified below)
+        this._drawn.legend = {
+            position: !position ? position : (Array.isArray(position) ? [...position] : Object.assign({}, position)), 
+            options:  options ? Object.assign({}, options, {bgstyle: Object.assign({}, options.bgstyle)}) : options
+        };
+
+        options = options || {};
+        if(options.container) return this._drawHtmlLegend(options);
         
         if(!position) {
             position = { x: 0, y: 0 };
@@ -50,52 +91,9 @@
             }
         }
 
-        options = options || {};
         let anchor = options.anchor || "left", 
             bgstyle = options.bgstyle || {}, 
-            exclude = options.exclude || [];
-
-        // exclude formatting
-        if(!exclude) { exclude = []; }
-        if(typeof exclude === "string") { exclude = exclude.trim().split(/\s+/); }
-        let excludeObj = {
-            "all":    [], 
-            "points": [], 
-            "lines":  [], 
-            "areas":  []
-        };
-        exclude.forEach(seriesname => {
-            let excludeSub = excludeObj.all, 
-                nameparts = seriesname.split("::").map(s => s.trim());
-            if(nameparts.length > 1) {
-                switch(nameparts[1].toLowerCase()) {
-                    case "point":
-                    case "points":
-                        if(!nameparts[0]) excludeObj.points = true;
-                        excludeSub = excludeObj.points;
-                        break;
-                    case "line":
-                    case "lines":
-                        if(!nameparts[0]) excludeObj.lines = true;
-                        excludeSub = excludeObj.lines;
-                        break;
-                    case "area":
-                    case "areas":
-                        if(!nameparts[0]) excludeObj.areas = true;
-                        excludeSub = excludeObj.areas;
-                        break;
-                    default:
-                        return;
-                }
-            }
-            if(excludeSub === true) return;
-            excludeSub.push(nameparts[0]);
-        });
-        let checkExclude = (seriesname, seriesshape) => (
-            excludeObj[seriesshape] === true
-            || ~excludeObj[seriesshape].indexOf(seriesname)
-            || !excludeObj.all.indexOf(seriesname)
-        );
+            interactive = !!options.interactive;
         
         // default styles for legend container (padding is set via explicit sides)
         if(bgstyle.padding) {
@@ -155,178 +153,294 @@
             // running position for next item
             yOffset = bgstyle['padding-top'], 
             xOffset = bgstyle['padding-left'];
-        
-        // local function checks for new column and adjusts position if so
-        function addAndCheckColumn() {
+
+        this._getLegendItems(options.exclude).forEach(entry => {
+            // group for each item, which toggles the series visibility if interactive
+            let item = legend.append("g")
+                .attr("class", "sg-legend-item")
+                .attr("series", entry.series)
+                .attr("type", entry.type);
+            this._listenLegendItem(item, entry);
+            // annotations are not series, so cannot be toggled
+            if(interactive && entry.type !== "annotations") {
+                item.style("cursor", "pointer")
+                    .on("click.sg-legend", evt => this._selectLegendItem(entry, evt));
+            }
+            this._drawLegendSymbol(item, entry, xOffset, yOffset);
+            item.append("text")
+                .attr("x", xOffset+23)
+                .attr("y", yOffset+9)
+                .attr("dy", ".35em")
+                .style("text-anchor", "start")
+                .text(entry.series);
+
+            if(interactive && entry.type !== "annotations") {
+                // clickable over the whole item, not just the painted symbol and text
+                let box = this._getBBox(item.node());
+                item.insert("rect", ":first-child")
+                    .attr("class", "sg-legend-item-bg")
+                    .attr("x", box.x)
+                    .attr("y", box.y)
+                    .attr("width", box.width)
+                    .attr("height", box.height)
+                    .style("fill", "none")
+                    .style("pointer-events", "all");
+            }
+            // check for new column and adjust position if so
             columnItemCount++;
             if(itemsPerColumn > 0 && columnItemCount >= itemsPerColumn) {
                 columnNumber++;
                 columnItemCount = 0;
                 yOffset = bgstyle['padding-top'];
-                xOffset = legend.node().getBBox().width + 12;
+                xOffset = this._getBBox(legend.node()).width + 12;
             } else {
                 yOffset += rowHeight;
             }
+        });
+        
+        // point encodings as scale legends beneath series items
+        this._getLegendEncodings(options.encodings).forEach(channel => {
+            let section = legend.append("g")
+                .attr("class", "sg-legend-encoding")
+                .attr("channel", channel)
+                .attr("transform", `translate(${xOffset},${yOffset})`);
+            yOffset += this._drawScaleLegendContent(section, channel, LEGEND_SCALE_OPTIONS, "legend-" + channel);
+            yOffset += 0.5*rowHeight;
+        });
+        
+        // finish up legend bg after completing elements inside
+        let legendBox = this._getBBox(legend.node());
+        legendBg
+            .attr("width", legendBox.width + bgstyle['padding-left'] + bgstyle['padding-right'])
+            .attr("height", legendBox.height + bgstyle['padding-top'] + bgstyle['padding-bottom']);
+            
+        // adjust legend position if necessary
+        anchor = anchor.trim().toLowerCase();
+        if(anchor === "middle") {
+            position.x -= 0.5*legendBox.width;
+        } else if(anchor === "right") {
+            position.x -= legendBox.width;
         }
+        legend.attr("transform", "translate(" + position.x + "," + position.y + ")");
+        this._updateLegendVisibility();
         
-        // local functions for adding items to legend by data type (not needed yet but will make custom item order
-        // easier for future)
-        var self = this;
-        function addPointItem(data, shape, color, drawPointLine) {
-            if(drawPointLine) {
-                let lineOffset = yOffset + 10,
-                    path = legend.append("path")
-                        .attr("x", xOffset)
-                        .attr("y", yOffset)
-                        .attr("d", 
-                            "M" + xOffset + " " + lineOffset + " " + 
-                            "L" + (18+xOffset) + " " + lineOffset
-                        );
-                // remember styles are only stored in first since they're shared
-                for(let style in self.pointLines[0].style) {
-                    path.style(style, self.pointLines[0].style[style]);
-                }
-                path.style("stroke", self.getColorBySeriesName(data.series));
+        return this;
+    };
+
+    /*
+     * Draw legend as HTML list into container outside of the SVG. Each item has the same symbol as the SVG legend, in
+     * its own small SVG, but labels may wrap and the list may scroll. Interactive items are buttons, so they may be
+     * focused and toggled by keyboard.
+     */
+    SimpleGraph.prototype._drawHtmlLegend = function(options) {
+        var container = options.container;
+        if(typeof container === "string") container = this.document.querySelector(container);
+        if(!container) throw `Legend container not found: ${options.container}`;
+
+        var interactive = !!options.interactive, 
+            list = d3.select(container).append("ul")
+                .attr("class", "sg-legend sg-legend-html")
+                // explicit role as list semantics are dropped by some screen readers without list style
+                .attr("role", "list")
+                .attr("aria-label", options.label || "Legend")
+                .style("list-style", "none")
+                .style("margin", 0)
+                .style("padding", 0)
+                .style("display", "flex")
+                .style("flex-direction", options.wrap === false ? "column" : "row")
+                .style("flex-wrap", "wrap")
+                .style("gap", "2px 12px")
+                .style("font-family", this.svg.style("font-family"));
+        if(options.maxHeight) {
+            list.style("max-height", typeof options.maxHeight === "number" ? options.maxHeight + "px" : options.maxHeight)
+                .style("overflow-y", "auto")
+                // focusable so it may be scrolled by keyboard
+                .attr("tabindex", 0);
+        }
+        for(let key in options.style) {
+            list.style(key, options.style[key]);
+        }
+        this._htmlLegend = list;
+
+        this._getLegendItems(options.exclude).forEach(entry => {
+            let item = list.append("li")
+                    .attr("class", "sg-legend-item")
+                    .attr("series", entry.series)
+                    .attr("type", entry.type)
+                    .style("max-width", "100%"), 
+                content = item;
+            this._listenLegendItem(item, entry);
+            if(interactive && entry.type !== "annotations") {
+                content = item.append("button")
+                    .attr("type", "button")
+                    .attr("class", "sg-legend-button")
+                    .style("background", "none")
+                    .style("border", "none")
+                    .style("padding", 0)
+                    .style("font", "inherit")
+                    .style("color", "inherit")
+                    .style("text-align", "left")
+                    .style("cursor", "pointer")
+                    .on("click.sg-legend", evt => this._selectLegendItem(entry, evt));
             }
+            content
+                .style("display", "flex")
+                .style("align-items", "center")
+                .style("max-width", "100%");
+            let symbol = content.append("svg")
+                .attr("class", "sg-legend-symbol")
+                .attr("width", 18)
+                .attr("height", 20)
+                .attr("aria-hidden", "true")
+                .style("flex", "none")
+                .style("overflow", "visible");
+            this._drawLegendSymbol(symbol, entry, 0, 0);
+            content.append("span")
+                .attr("class", "sg-legend-label")
+                .style("margin-left", "5px")
+                .style("overflow-wrap", "anywhere")
+                .text(entry.series);
+        });
+
+        this._getLegendEncodings(options.encodings).forEach(channel => {
+            let section = list.append("li")
+                    .attr("class", "sg-legend-encoding")
+                    .attr("channel", channel)
+                    .style("flex-basis", "100%"), 
+                symbol = section.append("svg")
+                    .style("overflow", "visible"), 
+                height = this._drawScaleLegendContent(symbol, channel, LEGEND_SCALE_OPTIONS, "legend-" + channel), 
+                box = this._getBBox(symbol.node());
+            symbol.attr("width", Math.max(box.width, LEGEND_SCALE_OPTIONS.length)).attr("height", height);
+        });
+
+        if(interactive) {
+            // arrow keys move focus between items
+            list.on("keydown.sg-legend", evt => {
+                let step = {ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1}[evt.key];
+                if(!step) return;
+                let buttons = list.selectAll(".sg-legend-button").nodes(), 
+                    index = buttons.indexOf(evt.target);
+                if(!~index || !buttons[index+step]) return;
+                evt.preventDefault();
+                buttons[index+step].focus();
+            });
+        }
+        this._updateLegendVisibility();
 
-            let size = (typeof data.size === "function") ? data.size() : data.size;
-            if(size > 14) { size = 14; }
-            let ioffx = xOffset+2, 
-                ioffy = yOffset+3;
-            if(shape && shape.startsWith("triangle")) {
-                let length = size*1.519676,  // side length of equilateral trangle of same area of square
-                    hl = length/2.0, 
-                    hlDiff = 7-hl, 
-                    height = length*0.86602,  // ratio of equilateral triangle
-                    hh = height*0.5, 
-                    hhDiff = 7-hh;
-                ioffx += hlDiff;
-                ioffy += hhDiff;
-                switch(shape) {
-                    case "triangle-down":
-                        legend.append("polygon")
-                            .attr("points", (
-                                `${ioffx},${ioffy+height} `
-                                + `${ioffx+hl},${ioffy} `
-                                + `${ioffx+length},${ioffy+height}`
-                            ))
-                            .style("fill", color);
+        return this;
+    };
+
+    /*
+     * Handle legend item click, toggling its series visibility, or with shift held, isolating it.
+     */
+    SimpleGraph.prototype._selectLegendItem = function(entry, evt) {
+        let key = entry.series + "::" + entry.type, 
+            isolate = !!(evt && evt.shiftKey);
+        if(isolate) {
+            this.isolateSeries(key, {});
+        } else {
+            this.toggleSeriesVisibility(key, {});
+        }
+        this._emit("legendclick", {
+            series:      entry.series, 
+            dataType:    entry.type, 
+            isolate:     isolate, 
+            hidden:      this._isSeriesHidden(entry.series, entry.type), 
+            sourceEvent: evt || null
+        });
+    };
+
+    /*
+     * Emit legend hover and leave events from legend item.
+     */
+    SimpleGraph.prototype._listenLegendItem = function(item, entry) {
+        var emit = (type, evt) => this._emit(type, {series: entry.series, dataType: entry.type, sourceEvent: evt});
+        item.on("mouseenter.sg-legend", evt => emit("legendhover", evt))
+            .on("mouseleave.sg-legend", evt => emit("legendleave", evt));
+    };
+
+    /*
+     * Redraw legend, if drawn, with the parameters it was last drawn with, so symbols follow color and shape changes.
+     */
+    SimpleGraph.prototype._syncLegend = function() {
+        if(!this._drawn || !this._drawn.legend) return;
+        this.drawLegend(this._drawn.legend.position, this._drawn.legend.options);
+    };
+
+    /*
+     * Get items for legend, in order of areas, bars, lines, then points, with one item per data series of each type
+     * (excluding those matched by exclude option), followed by any annotations with the legend option.
+     */
+    SimpleGraph.prototype._getLegendItems = function(exclude) {
+        var items = [];
+
+        // exclude formatting
+        if(!exclude) { exclude = []; }
+        if(typeof exclude === "string") { exclude = exclude.trim().split(/\s+/); }
+        let excludeObj = {
+            "all":    [], 
+            "points": [], 
+            "lines":  [], 
+            "areas":  [], 
+            "bars":   []
+        };
+        exclude.forEach(seriesname => {
+            let excludeSub = excludeObj.all, 
+                nameparts = seriesname.split("::").map(s => s.trim());
+            if(nameparts.length > 1) {
+                switch(nameparts[1].toLowerCase()) {
+                    case "point":
+                    case "points":
+                        if(!nameparts[0]) excludeObj.points = true;
+                        excludeSub = excludeObj.points;
                         break;
-                    case "triangle":
-                    case "triangle-up":
-                        legend.append("polygon")
-                            .attr("points", (
-                                `${ioffx},${ioffy} `
-                                + `${ioffx+hl},${ioffy+height} `
-                                + `${ioffx+length},${ioffy}`
-                            ))
-                            .style("fill", color);
+                    case "line":
+                    case "lines":
+                        if(!nameparts[0]) excludeObj.lines = true;
+                        excludeSub = excludeObj.lines;
                         break;
-                }
-            } else {
-                let hs = size/2.0, 
-                    hsDiff = 7-hs;
-                ioffx += hsDiff;
-                ioffy += hsDiff;
-                switch(shape) {
-                    case "circle":
-                        legend.append("circle")
-                            .attr("cx", ioffx+hs)
-                            .attr("cy", ioffy+hs)
-                            .attr("r", hs)
-                            .style("fill", color);
+                    case "area":
+                    case "areas":
+                        if(!nameparts[0]) excludeObj.areas = true;
+                        excludeSub = excludeObj.areas;
                         break;
-                    case "square":
-                    case "diamond":
-                    default:
-                        legend.append("rect")
-                            .attr("x", ioffx)
-                            .attr("y", ioffy)
-                            .attr("width", size)
-                            .attr("height", size)
-                            .attr("transform", shape == "square" ? "" : `rotate(45,${ioffx+hs},${ioffy+hs})`)
-                            .style("fill", color);
+                    case "bar":
+                    case "bars":
+                        if(!nameparts[0]) excludeObj.bars = true;
+                        excludeSub = excludeObj.bars;
                         break;
+                    default:
+                        return;
                 }
             }
+            if(excludeSub === true) return;
+            excludeSub.push(nameparts[0]);
+        });
+        let checkExclude = (seriesname, seriesshape) => (
+            excludeObj[seriesshape] === true
+            || ~excludeObj[seriesshape].indexOf(seriesname)
+            || ~excludeObj.all.indexOf(seriesname)
+        );
 
-            legend.append("text")
-                .attr("x", xOffset+23)
-                .attr("y", yOffset+9)
-                .attr("dy", ".35em")
-                .style("text-anchor", "start")
-                .text(data.series);
-
-            addAndCheckColumn();
-        }
-        function addLineItem(data, color) {
-            let lineOffset = yOffset + 10, 
-                path = legend.append("path")
-                    .attr("x", xOffset)
-                    .attr("y", yOffset)
-                    .attr("d", 
-                        "M" + xOffset + " " + lineOffset + " " + 
-                        "L" + (18+xOffset) + " " + lineOffset
-                    );
-            for(let style in data.style) {
-                path.style(style, data.style[style]);
-            }
-            if(!("stroke" in data.style)) {
-                path.style("stroke", color);
-            }
-            legend.append("text")
-                .attr("x", xOffset+23)
-                .attr("y", yOffset+9)
-                .attr("dy", ".35em")
-                .style("text-anchor", "start")
-                .text(data.series);
-            addAndCheckColumn();
-        }
-        function addAreaItem(data, color) {
-            let symbol = legend.append("rect")
-                .attr("x", xOffset)
-                .attr("y", yOffset)
-                .attr("width", 18)
-                .attr("height", 18);
-            for(let style in data.style) {
-                symbol.style(style, data.style[style]);
-            }
-            if(!("fill" in data.style)) {
-                symbol.style("fill", color);
-            }
-            legend.append("text")
-                .attr("x", xOffset+23)
-                .attr("y", yOffset+9)
-                .attr("dy", ".35em")
-                .style("text-anchor", "start")
-                .text(data.series);
-            addAndCheckColumn();
-        }
-        
-        // start with areas data
-        if(this.areas && excludeObj.areas !== true) {
-            let areaSeries = [];
-            for(let i = 0; i < this.areas.length; i++) {
-                let name = this.areas[i].series;
-                if(!checkExclude(name, 'areas') && !~areaSeries.indexOf(name)) {
-                    areaSeries.push(name);
+        // areas, bars, and lines items are alike
+        ["areas", "bars", "lines"].forEach(type => {
+            if(!this[type] || excludeObj[type] === true) return;
+            let typeSeries = [];
+            for(let i = 0; i < this[type].length; i++) {
+                let name = this[type][i].series;
+                if(!checkExclude(name, type) && !~typeSeries.indexOf(name)) {
+                    typeSeries.push(name);
                     let color = this.getColorBySeriesName(name);
-                    addAreaItem(this.areas[i], typeof color === "function" ? color(this.areas[i]) : color);
+                    items.push({
+                        series: name, 
+                        type:   type, 
+                        data:   this[type][i], 
+                        color:  typeof color === "function" ? color(this[type][i]) : color
+                    });
                 }
             }
-        }
-        // then lines
-        if(this.lines && excludeObj.lines !== true) {
-            let lineSeries = [];
-            for(let i = 0; i < this.lines.length; i++) {
-                let name = this.lines[i].series;
-                if(!checkExclude(name, 'lines') && !~lineSeries.indexOf(name)) {
-                    lineSeries.push(name);
-                    let color = this.getColorBySeriesName(name);
-                    addLineItem(this.lines[i], typeof color === "function" ? color(this.lines[i]) : color);
-                }
-            }
-        }
+        });
         // finally points
         if(this.points && excludeObj.points !== true) {
             let pointSeries = [];
@@ -345,28 +459,176 @@
                             }
                         }
                     }
+                    // check if any points in series have error bars
+                    let errorBars = {x: false, y: false};
+                    this.points.forEach(d => {
+                        if(d.series !== name) return;
+                        if(d.xError) errorBars.x = true;
+                        if(d.yError) errorBars.y = true;
+                    });
                     let color = this.getColorBySeriesName(name);
-                    color = typeof color === "function" ? color(this.points[i]) : color;
-                    addPointItem(this.points[i], this.getPointSeriesShape(name), color, drawPointLine);
+                    items.push({
+                        series:    name, 
+                        type:      "points", 
+                        data:      this.points[i], 
+                        color:     typeof color === "function" ? color(this.points[i]) : color, 
+                        shape:     this.getPointSeriesShape(name), 
+                        pointLine: drawPointLine, 
+                        errorBars: errorBars
+                    });
                 }
             }
         }
-        
-        // finish up legend bg after completing elements inside
-        let legendBox = legend.node().getBBox();
-        legendBg
-            .attr("width", legendBox.width + bgstyle['padding-left'] + bgstyle['padding-right'])
-            .attr("height", legendBox.height + bgstyle['padding-top'] + bgstyle['padding-bottom']);
-            
-        // adjust legend position if necessary
-        anchor = anchor.trim().toLowerCase();
-        if(anchor === "middle") {
-            position.x -= 0.5*legendBox.width;
-        } else if(anchor === "right") {
-            position.x -= legendBox.width;
+        // annotations listed by label, if in legend
+        (this.annotations || []).forEach(annotation => {
+            if(!annotation.legend) return;
+            items.push({
+                series:     annotation.label || annotation.text || annotation.id, 
+                type:       "annotations", 
+                annotation: annotation
+            });
+        });
+        return items;
+    };
+
+    /*
+     * Get channels of point encodings shown in legend, all by default, none if false, or those listed.
+     */
+    SimpleGraph.prototype._getLegendEncodings = function(channels) {
+        var encodings = this.pointEncodings || {};
+        if(channels === false) return [];
+        return ["color", "size", "opacity"].filter(channel => (
+            encodings[channel] && encodings[channel].legend && (!Array.isArray(channels) || ~channels.indexOf(channel))
+        ));
+    };
+
+    /*
+     * Draw symbol of legend item, in 18x20 box at offset.
+     */
+    SimpleGraph.prototype._drawLegendSymbol = function(item, entry, xOffset, yOffset) {
+        var data = entry.data, 
+            color = entry.color, 
+            symbol;
+        switch(entry.type) {
+            case "areas":
+                symbol = item.append("rect")
+                    .attr("x", xOffset)
+                    .attr("y", yOffset)
+                    .attr("width", 18)
+                    .attr("height", 18);
+                for(let style in data.style) {
+                    symbol.style(style, data.style[style]);
+                }
+                if(!("fill" in data.style)) {
+                    symbol.style("fill", color);
+                }
+                return;
+            case "bars":
+                symbol = item.append("rect")
+                    .attr("x", xOffset+4)
+                    .attr("y", yOffset+1)
+                    .attr("width", 10)
+                    .attr("height", 16);
+                for(let style in data.style) {
+                    symbol.style(style, data.style[style]);
+                }
+                if(!("fill" in data.style)) {
+                    symbol.style("fill", color);
+                }
+                return;
+            case "lines":
+                let lineOffset = yOffset + 10;
+                symbol = item.append("path")
+                    .attr("x", xOffset)
+                    .attr("y", yOffset)
+                    .attr("d", 
+                        "M" + xOffset + " " + lineOffset + " " + 
+                        "L" + (18+xOffset) + " " + lineOffset
+                    );
+                for(let style in data.style) {
+                    symbol.style(style, data.style[style]);
+                }
+                if(!("stroke" in data.style)) {
+                    symbol.style("stroke", color);
+                }
+                return;
+            case "annotations":
+                let annotation = entry.annotation, 
+                    style;
+                if(annotation.type === "band") {
+                    symbol = item.append("rect")
+                        .attr("x", xOffset)
+                        .attr("y", yOffset+3)
+                        .attr("width", 18)
+                        .attr("height", 14);
+                    style = this._getAnnotationStyle(annotation, "band");
+                } else if(annotation.type === "line") {
+                    symbol = item.append("path")
+                        .attr("d", `M${xOffset},${yOffset+10}L${xOffset+18},${yOffset+10}`);
+                    style = this._getAnnotationStyle(annotation, "line");
+                } else {
+                    // text callout as short arrow
+                    symbol = item.append("path")
+                        .attr("d", 
+                            `M${xOffset},${yOffset+16}L${xOffset+16},${yOffset+4}` + 
+                            `M${xOffset+9},${yOffset+5}L${xOffset+16},${yOffset+4}L${xOffset+14},${yOffset+11}`
+                        );
+                    style = this._getAnnotationStyle(annotation, "arrow");
+                }
+                for(let key in style) {
+                    symbol.style(key, style[key]);
+                }
+                return;
+        }
+
+        // points
+        let shape = entry.shape, 
+            errorBars = entry.errorBars;
+        if(errorBars && (errorBars.x || errorBars.y)) {
+            // whiskers centered on symbol, drawn beneath it
+            let cx = xOffset+9, 
+                cy = yOffset+10, 
+                d = "";
+            if(errorBars.y) d += `M${cx},${cy-8}L${cx},${cy+8}M${cx-3},${cy-8}L${cx+3},${cy-8}M${cx-3},${cy+8}L${cx+3},${cy+8}`;
+            if(errorBars.x) d += `M${cx-8},${cy}L${cx+8},${cy}M${cx-8},${cy-3}L${cx-8},${cy+3}M${cx+8},${cy-3}L${cx+8},${cy+3}`;
+            item.append("path")
+                .attr("class", "sg-legend-error")
+                .attr("d", d)
+                .style("fill", "none")
+                .style("stroke-width", 1)
+                .style("stroke", color);
+        }
+        if(entry.pointLine) {
+            let lineOffset = yOffset + 10,
+                path = item.append("path")
+                    .attr("x", xOffset)
+                    .attr("y", yOffset)
+                    .attr("d", 
+                        "M" + xOffset + " " + lineOffset + " " + 
+                        "L" + (18+xOffset) + " " + lineOffset
+                    );
+            // remember styles are only stored in first since they're shared
+            for(let style in this.pointLines[0].style) {
+                path.style(style, this.pointLines[0].style[style]);
+            }
+            path.style("stroke", this.getColorBySeriesName(data.series));
+        }
+
+        let size = (typeof data.size === "function") ? data.size() : data.size;
+        if(size > 14) { size = 14; }
+        // centered in 14px box
+        let cx = xOffset+9, 
+            cy = yOffset+10;
+        if(this._getPointTag(shape) === "circle") {
+            item.append("circle")
+                .attr("cx", cx)
+                .attr("cy", cy)
+                .attr("r", size/2.0)
+                .style("fill", color);
+        } else {
+            item.append("path")
+                .attr("d", this._getPointShapePath(shape, cx, cy, size))
+                .style("fill", color);
         }
-        legend.attr("transform", "translate(" + position.x + "," + position.y + ")");
-        
-        return this;
     };
-}
\ No newline at end of file
+}
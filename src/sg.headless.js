@@ -0,0 +1,195 @@
+export default function(SimpleGraph, d3) {
+
+    /*
+     * Default text-metrics stand-in when text can't be measured by the DOM. Rough estimate using average character
+     * width relative to font size.
+     */
+    SimpleGraph.defaultTextMetrics = function(text, fontSize) {
+        return {
+            width:  0.6*fontSize*String(text).length, 
+            height: 1.2*fontSize
+        };
+    };
+
+    /*
+     * Get bounding box of SVG element. Uses getBBox() when rendering in a DOM that supports it, otherwise estimates
+     * from the element's geometry and the text-metrics function.
+     */
+    SimpleGraph.prototype._getBBox = function(node) {
+        if(!this.headless && typeof node.getBBox === "function") return node.getBBox();
+        var box = this._estimateBBox(node, 0, 0);
+        if(!box) return {x: 0, y: 0, width: 0, height: 0};
+        return {x: box[0], y: box[1], width: box[2] - box[0], height: box[3] - box[1]};
+    };
+
+    /*
+     * Estimate bounds, as [x0, y0, x1, y1], of element and children. Like getBBox(), the element's own transform is
+     * not applied, but translations on descendants are.
+     */
+    SimpleGraph.prototype._estimateBBox = function(node, dx, dy) {
+        if(!node.tagName) return null;
+        if(node.getAttribute("display") === "none" || (node.style && node.style.display === "none")) return null;
+        var box = null, 
+            extend = (x, y) => {
+                if(isNaN(x) || isNaN(y)) return;
+                x += dx;
+                y += dy;
+                if(!box) {
+                    box = [x, y, x, y];
+                } else {
+                    box[0] = Math.min(box[0], x);
+                    box[1] = Math.min(box[1], y);
+                    box[2] = Math.max(box[2], x);
+                    box[3] = Math.max(box[3], y);
+                }
+            }, 
+            attr = name => parseFloat(node.getAttribute(name)) || 0;
+        switch(node.tagName.toLowerCase()) {
+            case "rect":
+                extend(attr("x"), attr("y"));
+                extend(attr("x") + attr("width"), attr("y") + attr("height"));
+                break;
+            case "circle":
+                extend(attr("cx") - attr("r"), attr("cy") - attr("r"));
+                extend(attr("cx") + attr("r"), attr("cy") + attr("r"));
+                break;
+            case "line":
+                extend(attr("x1"), attr("y1"));
+                extend(attr("x2"), attr("y2"));
+                break;
+            case "polygon":
+            case "polyline":
+                let values = (node.getAttribute("points") || "").trim().split(/[\s,]+/).map(parseFloat);
+                for(let i = 1; i < values.length; i += 2) {
+                    extend(values[i-1], values[i]);
+                }
+                break;
+            case "path":
+                this._getPathVertices(node.getAttribute("d")).forEach(v => extend(v[0], v[1]));
+                break;
+            case "text":
+                let fontSize = parseFloat(this._getInheritedStyle(node, "font-size")) || 16, 
+                    fontFamily = this._getInheritedStyle(node, "font-family"), 
+                    anchor = this._getInheritedStyle(node, "text-anchor") || "start", 
+                    size = (this.textMetrics || SimpleGraph.defaultTextMetrics)(node.textContent, fontSize, fontFamily), 
+                    toPx = value => {
+                        if(!value) return 0;
+                        return String(value).trim().endsWith("em") ? parseFloat(value)*fontSize : (parseFloat(value) || 0);
+                    }, 
+                    x = toPx(node.getAttribute("x")) + toPx(node.getAttribute("dx")), 
+                    y = toPx(node.getAttribute("y")) + toPx(node.getAttribute("dy"));
+                if(!size.width) break;
+                if(anchor === "middle") {
+                    x -= 0.5*size.width;
+                } else if(anchor === "end") {
+                    x -= size.width;
+                }
+                // y is baseline, roughly three-quarters down the text height
+                y -= 0.75*size.height;
+                extend(x, y);
+                extend(x + size.width, y + size.height);
+                break;
+            default:
+                for(let i = 0; i < node.childNodes.length; ++i) {
+                    let child = node.childNodes[i];
+                    if(!child.tagName) continue;
+                    let translate = this._getTranslate(child), 
+                        childBox = this._estimateBBox(child, dx + translate[0], dy + translate[1]);
+                    if(!childBox) continue;
+                    if(!box) {
+                        box = childBox;
+                    } else {
+                        box[0] = Math.min(box[0], childBox[0]);
+                        box[1] = Math.min(box[1], childBox[1]);
+                        box[2] = Math.max(box[2], childBox[2]);
+                        box[3] = Math.max(box[3], childBox[3]);
+                    }
+                }
+                break;
+        }
+        return box;
+    };
+
+    SimpleGraph.prototype._getTranslate = function(node) {
+        var transform = node.getAttribute("transform"), 
+            match = transform && transform.match(/translate\(\s*([-\d.e]+)(?:[\s,]+([-\d.e]+))?\s*\)/);
+        if(!match) return [0, 0];
+        return [parseFloat(match[1]) || 0, parseFloat(match[2]) || 0];
+    };
+
+    SimpleGraph.prototype._getInheritedStyle = function(node, name) {
+        while(node && node.getAttribute) {
+            let value = (node.style && node.style.getPropertyValue(name)) || node.getAttribute(name);
+            if(value) return value;
+            node = node.parentNode;
+        }
+        return null;
+    };
+
+    /*
+     * Get vertices (including control points, so bounds may be overestimated for curves) of SVG path data.
+     */
+    SimpleGraph.prototype._getPathVertices = function(d) {
+        var vertices = [], 
+            current = [0, 0], 
+            start = [0, 0], 
+            tokens = (d || "").match(/[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?|[a-zA-Z]/g) || [], 
+            command = null, 
+            i = 0;
+        while(i < tokens.length) {
+            if(/^[a-zA-Z]$/.test(tokens[i])) {
+                command = tokens[i++];
+                if(command === "Z" || command === "z") {
+                    current = [start[0], start[1]];
+                    command = null;
+                }
+                continue;
+            }
+            if(!command) {
+                ++i;
+                continue;
+            }
+            let relative = command === command.toLowerCase(), 
+                next = () => parseFloat(tokens[i++]), 
+                point = (x, y) => {
+                    let p = relative ? [current[0] + x, current[1] + y] : [x, y];
+                    vertices.push(p);
+                    return p;
+                };
+            switch(command.toUpperCase()) {
+                case "H":
+                    current = [relative ? current[0] + next() : next(), current[1]];
+                    vertices.push(current);
+                    break;
+                case "V":
+                    current = [current[0], relative ? current[1] + next() : next()];
+                    vertices.push(current);
+                    break;
+                case "A":
+                    i += 5;
+                    current = point(next(), next());
+                    break;
+                case "C":
+                    point(next(), next());
+                    point(next(), next());
+                    current = point(next(), next());
+                    break;
+                case "S":
+                case "Q":
+                    point(next(), next());
+                    current = point(next(), next());
+                    break;
+                default:
+                    current = point(next(), next());
+                    if(command.toUpperCase() === "M") {
+                        start = current;
+                        // subsequent pairs after moveto are implicit lineto
+                        command = relative ? "l" : "L";
+                    }
+                    break;
+            }
+        }
+        return vertices;
+    };
+
+}
@@ -3,7 +3,8 @@ export default function(SimpleGraph, d3) {
     SimpleGraph.prototype.removeHighlights = function() {
         return this.removeHighlightPoints()
                    .removeHighlightLines()
-                   .removeHighlightAreas();
+                   .removeHighlightAreas()
+                   .removeHighlightBars();
     };
 
     SimpleGraph.prototype.removeHighlightPoints = function() {
@@ -11,12 +12,17 @@ export default function(SimpleGraph, d3) {
         this.svgGraph.selectAll(".sg-point.sg-highlight-hide")
                      .style("opacity", "")
                      .classed("sg-highlight-hide", false);
+        let layer = this._canvasLayers && this._canvasLayers.points;
+        if(layer && layer.hidden.size) {
+            layer.hidden.clear();
+            this._paintPointCanvas(layer);
+        }
         return this;
     };
 
     SimpleGraph.prototype.removeHighlightLines = function() {
         this.svgGraph.selectAll(".sg-line-highlight").remove();
-        this.svgGraph.selectAll(".sg-line.sg-highlight-hide")
+        this.svgGraph.selectAll(".sg-line.sg-highlight-hide, .sg-point-line.sg-highlight-hide")
                      .style("opacity", "")
                      .classed("sg-highlight-hide", false);
         return this;
@@ -30,6 +36,14 @@ export default function(SimpleGraph, d3) {
         return this;
     };
 
+    SimpleGraph.prototype.removeHighlightBars = function() {
+        this.svgGraph.selectAll(".sg-bar-highlight").remove();
+        this.svgGraph.selectAll(".sg-bar.sg-highlight-hide")
+                     .style("opacity", "")
+                     .classed("sg-highlight-hide", false);
+        return this;
+    };
+
     SimpleGraph.prototype._addBlurDefn = function() {
         if(!this.svgDefs.select("#sg-effect-blur").empty()) return;
         this.svgDefs
@@ -45,50 +59,32 @@ export default function(SimpleGraph, d3) {
         if(options.series) {
             options.series = Array.isArray(options.series) ? options.series : [options.series];
         }
-        this.svgGraph.selectAll(".sg-point").each((d, i, s) => {
+        // points drawn on canvas have no elements, so are created as needed (only for filter if it takes the element)
+        var layer = this._canvasLayers && this._canvasLayers.points, 
+            points = layer ? layer.drawn : this.svgGraph.selectAll(".sg-point").nodes(), 
+            getNode = p => layer ? this._createPointNode(p) : p;
+        points.forEach(p => {
+            let d = layer ? p : p.__data__, 
+                node = null;
             if(options.series && !~options.series.indexOf(d.series)) return;
-            if(options.filter && !options.filter(this._clonePointData(d), s[i])) return;
-            let highlight = d3.select(s[i].cloneNode(true)).attr("class", "sg-point-highlight"), 
-                xScale    = this.x.scale, 
+            if(options.filter) {
+                node = options.filter.length > 1 ? getNode(p) : null;
+                if(!options.filter(this._clonePointData(d), node)) return;
+            }
+            node = node || getNode(p);
+            let highlight = d3.select(layer ? node : node.cloneNode(true)).attr("class", "sg-point-highlight"), 
+                xScale    = d.x2 ? this.x2.scale : this.x.scale, 
                 yScale    = d.y2 ? this.y2.scale : this.y.scale, 
                 x         = xScale(d.x), 
                 y         = yScale(isNaN(d.y) ? 0 : d.y), 
-                size      = options.size || d.size;
+                size      = options.size || this._getPointEncodedValue("size", d) || d.size, 
+                shape     = this.ptSeriesShapes[d.series];
             if(typeof size === "function") size = size.call(d);
-            switch(this.ptSeriesShapes[d.series]) {
-                case "triangle":
-                case "triangle-up":
-                    size *= 2.0;
-                    highlight.attr("points", d => {
-                        let length = size*1.519676,   // side length of equilateral trangle of same area of square
-                            height = length*0.86602,  // ratio of equilateral triangle
-                            hh = 0.5*height, 
-                            hl = 0.5*length;
-                        return `${x-hl},${y-hh} ${x},${y+hh} ${x+hl},${y-hh}`;
-                    });
-                    break;
-                case "triangle-down":
-                    size *= 2.0;
-                    highlight.attr("points", d => {
-                        let length = size*1.519676,   // side length of equilateral trangle of same area of square
-                            height = length*0.86602,  // ratio of equilateral triangle
-                            hh = 0.5*height, 
-                            hl = 0.5*length;
-                        return `${x-hl},${y+hh} ${x},${y-hh} ${x+hl},${y+hh}`;
-                    });
-                    break;
-                case "square":
-                case "diamond":
-                    highlight
-                        .attr("width", size)
-                        .attr("height", size)
-                        .attr("x", x-size/2.0)
-                        .attr("y", y-size/2.0);
-                    break;
-                default:
-                case "circle":
-                    highlight.attr("r", size);
-                    break;
+            // highlight drawn at twice the size
+            if(this._getPointTag(shape) === "circle") {
+                highlight.attr("r", size);
+            } else {
+                highlight.attr("d", this._getPointShapePath(shape, x, y, 2.0*size));
             }
             if(!options.nooutline) {
                 highlight.style('stroke', '#000');
@@ -100,20 +96,34 @@ export default function(SimpleGraph, d3) {
                 }
             }
             highlight.style('pointer-events', 'none');
+            // copies of drawn elements, which may have accessible labels, are only decorative
+            highlight.attr('aria-hidden', 'true').attr('tabindex', null);
             this.svgGraph.node().append(highlight.node());
-            d3.select(s[i]).classed("sg-highlight-hide", true)
-                .style("opacity", "0");
+            if(layer) {
+                layer.hidden.add(d);
+            } else {
+                d3.select(node).classed("sg-highlight-hide", true)
+                    .style("opacity", "0");
+            }
         });
+        if(layer) this._paintPointCanvas(layer);
         return this;
     };
 
     SimpleGraph.prototype.highlightLines = function(options) {
+        return this._highlightLineElements(this.svgGraph.selectAll(".sg-line"), options);
+    };
+
+    /*
+     * Highlight drawn line elements, as for highlightLines(), but of any selection (e.g. of point-lines).
+     */
+    SimpleGraph.prototype._highlightLineElements = function(selection, options) {
         options = options || {};
         if(options.series) {
             options.series = Array.isArray(options.series) ? options.series : [options.series];
         }
         this._addBlurDefn();
-        this.svgGraph.selectAll(".sg-line").each((d, i, s) => {
+        selection.each((d, i, s) => {
             if(options.series && !~options.series.indexOf(d.series)) return;
             if(options.filter && !options.filter(this._cloneLineData(d), s[i])) return;
             let front = d3.select(s[i].cloneNode(true)).attr("class", "sg-point-highlight"), 
@@ -131,6 +141,7 @@ export default function(SimpleGraph, d3) {
                     }
                 }
                 behind.style('pointer-events', 'none');
+                behind.attr('aria-hidden', 'true').attr('tabindex', null);
                 this.svgGraph.node().append(behind.node());
             }
             if(options.style) {
@@ -139,6 +150,7 @@ export default function(SimpleGraph, d3) {
                 }
             }
             front.style('pointer-events', 'none');
+            front.attr('aria-hidden', 'true').attr('tabindex', null);
             this.svgGraph.node().append(front.node());
             d3.select(s[i]).classed("sg-highlight-hide", true)
                 .style("opacity", "0");
@@ -167,6 +179,36 @@ export default function(SimpleGraph, d3) {
                 }
             }
             highlight.style('pointer-events', 'none');
+            highlight.attr('aria-hidden', 'true').attr('tabindex', null);
+            this.svgGraph.node().append(highlight.node());
+            d3.select(s[i]).classed("sg-highlight-hide", true)
+                .style("opacity", "0");
+        });
+        return this;
+    };
+
+    SimpleGraph.prototype.highlightBars = function(options) {
+        options = options || {};
+        if(options.series) {
+            options.series = Array.isArray(options.series) ? options.series : [options.series];
+        }
+        this.svgGraph.selectAll(".sg-bar").each((d, i, s) => {
+            if(options.series && !~options.series.indexOf(d.series)) return;
+            if(options.filter && !options.filter(this._cloneBarData(d), s[i])) return;
+            let highlight = d3.select(s[i].cloneNode(true))
+                .attr("class", "sg-bar-highlight")
+                .style("opacity", "1");
+            if(!options.nooutline) {
+                highlight.style("stroke", "#000");
+                highlight.style("stroke-width", "1.5")
+            }
+            if(options.style) {
+                for(let sk in options.style) {
+                    highlight.style(sk, options.style[sk]);
+                }
+            }
+            highlight.style('pointer-events', 'none');
+            highlight.attr('aria-hidden', 'true').attr('tabindex', null);
             this.svgGraph.node().append(highlight.node());
             d3.select(s[i]).classed("sg-highlight-hide", true)
                 .style("opacity", "0");
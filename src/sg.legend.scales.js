@@ -0,0 +1,239 @@
+// positions around the plot scale legends may be placed at (otherwise given as coordinates)
+const POSITIONS = ["right", "left", "top", "bottom", "inside"];
+// gradient IDs must be unique across all graphs in the document
+var gradientCount = 0;
+
+export default function(SimpleGraph, d3) {
+
+    /*
+     * Draw legend component for the point encoding of channel, as a gradient color bar (for color and opacity) or a
+     * graduated size key (for size), placed around the plot.
+     */
+    SimpleGraph.prototype.drawScaleLegend = function(channel, position, options) {
+        channel = String(channel).toLowerCase();
+        if(!this.pointEncodings || !this.pointEncodings[channel]) {
+            throw `No point encoding for scale legend: ${channel}`;
+        }
+        this._removeScaleLegendElements(channel);
+        position = position || "right";
+        if(typeof position === "string" && !~POSITIONS.indexOf(position.toLowerCase())) {
+            throw `Unknown scale legend position: ${position}`;
+        }
+        this._drawn.scaleLegends = this._drawn.scaleLegends || {};
+        this._drawn.scaleLegends[channel] = {
+            position: typeof position !== "object" ? position
+                : (Array.isArray(position) ? [...position] : Object.assign({}, position)), 
+            options:  options ? Object.assign({}, options) : options
+        };
+
+        options = Object.assign({}, options);
+        if(typeof position === "string") position = position.toLowerCase();
+        if(!options.orientation) {
+            options.orientation = (position === "top" || position === "bottom") ? "horizontal" : "vertical";
+        }
+        // added to top SVG (like legend) so it may sit in margins around the plot
+        var g = this.svg.append("g")
+            .attr("class", "sg-scale-legend")
+            .attr("channel", channel);
+        this._drawScaleLegendContent(g, channel, options, "scale-" + channel);
+        this._placeScaleLegend(g, position);
+        return this;
+    };
+
+    SimpleGraph.prototype.removeScaleLegend = function(channel) {
+        if(channel === null || typeof channel === "undefined") {
+            for(let c in this._drawn.scaleLegends) this.removeScaleLegend(c);
+            delete this._drawn.scaleLegends;
+            return this;
+        }
+        channel = String(channel).toLowerCase();
+        this._removeScaleLegendElements(channel);
+        if(this._drawn.scaleLegends) {
+            delete this._drawn.scaleLegends[channel];
+            if(!Object.keys(this._drawn.scaleLegends).length) delete this._drawn.scaleLegends;
+        }
+        return this;
+    };
+
+    SimpleGraph.prototype._removeScaleLegendElements = function(channel) {
+        this.svg.selectAll(".sg-scale-legend").filter(function() {
+            return this.getAttribute("channel") === channel;
+        }).remove();
+        this._removeScaleLegendGradient("scale-" + channel);
+    };
+
+    /*
+     * Redraw scale legends, if drawn, with the parameters they were last drawn with, so they follow the encodings.
+     * Legends of channels no longer encoded are removed.
+     */
+    SimpleGraph.prototype._syncScaleLegends = function() {
+        if(!this._drawn || !this._drawn.scaleLegends) return;
+        var drawn = this._drawn.scaleLegends;
+        for(let channel in drawn) {
+            if(this.pointEncodings && this.pointEncodings[channel]) {
+                this.drawScaleLegend(channel, drawn[channel].position, drawn[channel].options);
+            } else {
+                this.removeScaleLegend(channel);
+            }
+        }
+    };
+
+    /*
+     * Position scale legend. Sides align to the edge of the container (within the margins around the plot) and to
+     * the start of the plot along that side, while inside is the top-right corner of the plot.
+     */
+    SimpleGraph.prototype._placeScaleLegend = function(g, position) {
+        var box = this._getBBox(g.node()), 
+            x, y;
+        switch(position) {
+            case "left":
+                x = 2 - box.x;
+                y = this.margins.top - box.y;
+                break;
+            case "top":
+                x = this.margins.left - box.x;
+                y = 2 - box.y;
+                break;
+            case "bottom":
+                x = this.margins.left - box.x;
+                y = this.containerHeight - 2 - box.height - box.y;
+                break;
+            case "inside":
+                x = this.margins.left + this.width - 8 - box.width - box.x;
+                y = this.margins.top + 8 - box.y;
+                break;
+            case "right":
+                x = this.containerWidth - 2 - box.width - box.x;
+                y = this.margins.top - box.y;
+                break;
+            default:
+                x = Array.isArray(position) ? position[0] : position.x;
+                y = Array.isArray(position) ? position[1] : position.y;
+        }
+        g.attr("transform", `translate(${x || 0},${y || 0})`);
+    };
+
+    /*
+     * Draw scale legend of point encoding into group, titled by the encoding label. Key identifies the gradient
+     * definition of the color bar. Returns height of content.
+     */
+    SimpleGraph.prototype._drawScaleLegendContent = function(g, channel, options, key) {
+        var encoding = this.pointEncodings[channel], 
+            scale = this._getPointEncodingScale(channel), 
+            ticks = (options.ticks || options.ticks === 0) ? options.ticks : 5, 
+            format = options.format ? d3.format(options.format) : scale.tickFormat(ticks), 
+            title = (options.title || options.title === 0) ? String(options.title) : encoding.label;
+        g.append("text")
+            .attr("class", "sg-scale-legend-title")
+            .attr("x", 0)
+            .attr("y", 9)
+            .attr("dy", ".35em")
+            .style("text-anchor", "start")
+            .text(title);
+        if(channel === "size") return this._drawSizeKey(g, scale, options, format, ticks);
+        return this._drawColorBar(g, channel, scale, options, format, ticks, key);
+    };
+
+    /*
+     * Draw gradient bar with axis, as for a graph axis, along it. Vertical bars run from the low end at the bottom.
+     */
+    SimpleGraph.prototype._drawColorBar = function(g, channel, scale, options, format, ticks, key) {
+        var vertical = options.orientation !== "horizontal", 
+            length = options.length || (vertical ? 120 : 160), 
+            thickness = options.thickness || 12, 
+            // scale of bar position, of same type (e.g. log) as encoding
+            barScale = scale.copy().clamp(false).range([0, length]), 
+            // sequential scales have no inverse, but interpolate along the transformed domain as the bar does
+            valueAt = t => (
+                typeof scale.interpolator === "function" ? scale.interpolator()(t) : scale(barScale.invert(t*length))
+            ), 
+            stops = d3.range(11).map(i => {
+                let value = valueAt(0.1*i);
+                return channel === "color" ? {color: value, opacity: 1} : {color: "#555", opacity: value};
+            });
+        g.append("rect")
+            .attr("class", "sg-scale-legend-bar")
+            .attr("x", 0)
+            .attr("y", 20)
+            .attr("width", vertical ? thickness : length)
+            .attr("height", vertical ? length : thickness)
+            .style("fill", `url('#${this._getScaleLegendGradient(key, stops, vertical)}')`);
+
+        if(vertical) barScale.range([length, 0]);
+        var axis = (vertical ? d3.axisRight(barScale) : d3.axisBottom(barScale))
+                .ticks(ticks)
+                .tickFormat(format)
+                .tickSizeOuter(0);
+        if(options.tickValues) axis.tickValues(options.tickValues);
+        g.append("g")
+            .attr("class", "sg-scale-legend-axis")
+            .attr("transform", vertical ? `translate(${thickness},20)` : `translate(0,${20+thickness})`)
+            .call(axis);
+        // outer half of end tick labels
+        return vertical ? 26 + length : 42 + thickness;
+    };
+
+    /*
+     * Draw graduated size key of point symbols at nice values across domain, in a column (or row if horizontal).
+     */
+    SimpleGraph.prototype._drawSizeKey = function(g, scale, options, format, ticks) {
+        var vertical = options.orientation !== "horizontal", 
+            shape = options.shape || "circle", 
+            domain = scale.domain(), 
+            values = options.tickValues
+                || scale.ticks(Math.min(ticks, 3)).filter(v => v >= domain[0] && v <= domain[domain.length-1]);
+        // ticks may miss the domain entirely if narrow
+        if(!values.length) values = [domain[0], domain[domain.length-1]];
+        var sizes = values.map(v => scale(v)), 
+            maxSize = Math.max(...sizes), 
+            offset = 20;
+        values.forEach((v, i) => {
+            let size = sizes[i], 
+                // symbols centered on a common line, and spaced by their size
+                cx = vertical ? 0.5*maxSize : offset + 0.5*size, 
+                cy = vertical ? offset + 0.5*size : 20 + 0.5*maxSize, 
+                symbol = this._getPointTag(shape) === "circle"
+                    ? g.append("circle").attr("cx", cx).attr("cy", cy).attr("r", 0.5*size)
+                    : g.append("path").attr("d", this._getPointShapePath(shape, cx, cy, size));
+            symbol.attr("class", "sg-scale-legend-symbol")
+                .style("fill", "#888")
+                .style("stroke", "#555");
+            g.append("text")
+                .attr("x", vertical ? maxSize + 5 : cx)
+                .attr("y", vertical ? cy : 20 + maxSize + 10)
+                .attr("dy", ".35em")
+                .style("text-anchor", vertical ? "start" : "middle")
+                .text(format(v));
+            offset += (vertical ? size : Math.max(size, 24)) + 4;
+        });
+        return vertical ? offset : 36 + maxSize;
+    };
+
+    /*
+     * Get ID of gradient definition, created (or replaced) from color stops along gradient.
+     */
+    SimpleGraph.prototype._getScaleLegendGradient = function(key, stops, vertical) {
+        this._gradientIds = this._gradientIds || {};
+        var id = this._gradientIds[key] || (this._gradientIds[key] = "sg-scale-gradient-" + (++gradientCount));
+        this.svgDefs.select("#" + id).remove();
+        var gradient = this.svgDefs.append("linearGradient")
+            .attr("id", id)
+            .attr("x1", 0)
+            .attr("y1", vertical ? 1 : 0)
+            .attr("x2", vertical ? 0 : 1)
+            .attr("y2", 0);
+        stops.forEach((stop, i) => {
+            gradient.append("stop")
+                .attr("offset", i/(stops.length-1))
+                .attr("stop-color", stop.color)
+                .attr("stop-opacity", stop.opacity);
+        });
+        return id;
+    };
+
+    SimpleGraph.prototype._removeScaleLegendGradient = function(key) {
+        if(!this._gradientIds || !this._gradientIds[key]) return;
+        this.svgDefs.select("#" + this._gradientIds[key]).remove();
+    };
+
+}
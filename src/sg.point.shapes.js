@@ -1 +1,105 @@
-export default ["diamond", "circle", "square", "triangle", "triangle-up", "triangle-down"];
\ No newline at end of file
+/*
+ * Registry of point shapes by name. Each shape is a path generator, called as (context, x, y, size), that traces the
+ * shape centered on x,y onto the context (a canvas context or d3.path(), so only path methods of both may be used).
+ * Size is the side length of a square of the same area (excepting circles, for which it is the diameter).
+ */
+const SHAPES = {};
+
+// equilateral triangle of same area as square, pointing down (or up if flipped)
+const triangle = flip => (context, x, y, size) => {
+    let length = size*1.519676,   // side length of equilateral trangle of same area of square
+        hh = 0.5*length*0.86602,  // ratio of equilateral triangle
+        hl = 0.5*length, 
+        dy = flip ? hh : -hh;
+    context.moveTo(x-hl, y+dy);
+    context.lineTo(x, y-dy);
+    context.lineTo(x+hl, y+dy);
+    context.closePath();
+};
+
+// star and wye geometry as d3.symbolStar and d3.symbolWye
+const STAR_KR = Math.sin(Math.PI/10) / Math.sin(7*Math.PI/10), 
+      STAR_KX = Math.sin(2*Math.PI/10)*STAR_KR, 
+      STAR_KY = -Math.cos(2*Math.PI/10)*STAR_KR, 
+      WYE_K = 1/Math.sqrt(12), 
+      WYE_A = (WYE_K/2 + 1)*3;
+
+const BUILT_IN = {
+    "circle": (context, x, y, size) => {
+        let r = 0.5*size;
+        context.moveTo(x+r, y);
+        context.arc(x, y, r, 0, 2*Math.PI);
+    }, 
+    "square": (context, x, y, size) => {
+        let hs = 0.5*size;
+        context.rect(x-hs, y-hs, size, size);
+    }, 
+    "diamond": (context, x, y, size) => {
+        let hd = 0.5*size*Math.SQRT2;
+        context.moveTo(x, y-hd);
+        context.lineTo(x+hd, y);
+        context.lineTo(x, y+hd);
+        context.lineTo(x-hd, y);
+        context.closePath();
+    }, 
+    "triangle":      triangle(false), 
+    "triangle-up":   triangle(false), 
+    "triangle-down": triangle(true), 
+    "cross": (context, x, y, size) => {
+        // five squares of arm width
+        let r = 0.5*size/Math.sqrt(5), 
+            r3 = 3*r;
+        context.moveTo(x-r3, y-r);
+        context.lineTo(x-r, y-r);
+        context.lineTo(x-r, y-r3);
+        context.lineTo(x+r, y-r3);
+        context.lineTo(x+r, y-r);
+        context.lineTo(x+r3, y-r);
+        context.lineTo(x+r3, y+r);
+        context.lineTo(x+r, y+r);
+        context.lineTo(x+r, y+r3);
+        context.lineTo(x-r, y+r3);
+        context.lineTo(x-r, y+r);
+        context.lineTo(x-r3, y+r);
+        context.closePath();
+    }, 
+    "star": (context, x, y, size) => {
+        let r = Math.sqrt(size*size*0.8908130915292852);
+        context.moveTo(x, y-r);
+        context.lineTo(x+STAR_KX*r, y+STAR_KY*r);
+        for(let i = 1; i < 5; ++i) {
+            let a = 2*Math.PI*i/5, 
+                c = Math.cos(a), 
+                s = Math.sin(a);
+            context.lineTo(x+s*r, y-c*r);
+            context.lineTo(x+(c*STAR_KX - s*STAR_KY)*r, y+(s*STAR_KX + c*STAR_KY)*r);
+        }
+        context.closePath();
+    }, 
+    "wye": (context, x, y, size) => {
+        let r = Math.sqrt(size*size/WYE_A), 
+            c = -0.5, 
+            s = 0.5*Math.sqrt(3), 
+            x0 = 0.5*r, 
+            y0 = r*WYE_K, 
+            y1 = y0 + r, 
+            arm = [[x0, y0], [x0, y1], [-x0, y1]];
+        // three arms, each rotated 120 degrees from the last
+        arm.forEach(([px, py], i) => context[i ? "lineTo" : "moveTo"](x+px, y+py));
+        arm.forEach(([px, py]) => context.lineTo(x+c*px-s*py, y+s*px+c*py));
+        arm.forEach(([px, py]) => context.lineTo(x+c*px+s*py, y+c*py-s*px));
+        context.closePath();
+    }
+};
+
+Object.assign(SHAPES, BUILT_IN);
+
+export default {
+    has: name => Object.prototype.hasOwnProperty.call(SHAPES, name), 
+    get: name => SHAPES[name], 
+    isBuiltIn: name => Object.prototype.hasOwnProperty.call(BUILT_IN, name), 
+    names: () => Object.keys(SHAPES), 
+    register: (name, pathGenerator) => {
+        SHAPES[name] = pathGenerator;
+    }
+};
@@ -0,0 +1,104 @@
+export default function(SimpleGraph, d3) {
+
+    SimpleGraph.prototype.resize = function(width, height) {
+        width = width || this.containerWidth;
+        height = height || this.containerHeight;
+        if(width === this.containerWidth && height === this.containerHeight) return this;
+        // ignore sizes too small to fit margins (e.g. container hidden)
+        if(width <= this.margins.left + this.margins.right || height <= this.margins.top + this.margins.bottom) {
+            return this;
+        }
+
+        var oldWidth = this.width, 
+            oldHeight = this.height;
+        this.containerWidth  = width;
+        this.containerHeight = height;
+        this.width           = this.containerWidth - this.margins.left - this.margins.right;
+        this.height          = this.containerHeight - this.margins.top - this.margins.bottom;
+        this.svg
+            .attr("width", this.containerWidth)
+            .attr("height", this.containerHeight);
+
+        // new ranges, but domains are kept
+        ["x", "x2", "y", "y2"].forEach(a => {
+            if(this[a]) this._setAxisRange(a);
+        });
+
+        // resize interaction layers
+        var extent = [[0, 0], [this.width, this.height]];
+        this.svgGraph.selectAll(".sg-zoom-capture, .sg-crosshair-capture")
+            .attr("width", this.width)
+            .attr("height", this.height);
+        if(this._zoom) {
+            this._zoom.behavior.extent(extent);
+            if(this._zoom.behavior.translateExtent()[1][0] !== Infinity) {
+                this._zoom.behavior.translateExtent(extent);
+            }
+            // scale translation so the transform still describes the current (zoomed) domains
+            let transform = d3.zoomTransform(this.svgGraph.node());
+            this.svgGraph.property("__zoom", d3.zoomIdentity
+                .translate(transform.x*this.width/oldWidth, transform.y*this.height/oldHeight)
+                .scale(transform.k)
+            );
+        }
+        if(this._brush) {
+            this._brush.behavior.extent(extent);
+            this.svgGraph.select(".sg-brush").call(this._brush.behavior);
+            // pixel selection no longer matches
+            this.clearBrush();
+        }
+        if(this._crosshair) this._hideCrosshair();
+
+        // redraw axes in the same draw order (as redrawing appends them)
+        if(this._drawn.axes) {
+            let graphNode = this.svgGraph.node(), 
+                axisNodes = this.svgGraph.selectAll(".sg-xaxis, .sg-x2axis, .sg-yaxis, .sg-y2axis")
+                    .filter(function() { return this.parentNode === graphNode; })
+                    .nodes(), 
+                nextNode = axisNodes.length ? axisNodes[axisNodes.length-1].nextSibling : null, 
+                drawn = Object.assign({}, this._drawn);
+            this.drawAxes(
+                this._drawn.axes.labelPosition, 
+                this._drawn.axes.xAxisPosition, 
+                this._drawn.axes.axisLabelMargin
+            );
+            if(nextNode) {
+                this.svgGraph.selectAll(".sg-xaxis, .sg-x2axis, .sg-yaxis, .sg-y2axis")
+                    .filter(function() { return this.parentNode === graphNode; })
+                    .each(function() { graphNode.insertBefore(this, nextNode); });
+            }
+            this._drawn = Object.assign(drawn, {axes: this._drawn.axes});
+        }
+        this._updateGrid();
+        if(this._drawn.legend) {
+            this.drawLegend(this._drawn.legend.position, this._drawn.legend.options);
+        }
+        // highlights are static copies of drawn elements that would be left behind
+        this.removeHighlights();
+        this._drawUpdateAll();
+
+        return this;
+    };
+
+    /*
+     * Watch container for size changes and resize graph to fit.
+     */
+    SimpleGraph.prototype._observeResize = function(container) {
+        var view = container.ownerDocument && container.ownerDocument.defaultView;
+        if(!view || !view.ResizeObserver) return;
+        this._resizeObserver = new view.ResizeObserver(() => {
+            if(!this.svg) return;
+            let size = this._getContainerSize(container);
+            this.resize(size.width, size.height);
+        });
+        this._resizeObserver.observe(container);
+    };
+
+    SimpleGraph.prototype._getContainerSize = function(container) {
+        return {
+            width:  container.clientWidth || this.containerWidth, 
+            height: container.clientHeight || this.containerHeight
+        };
+    };
+
+}
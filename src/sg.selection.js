@@ -0,0 +1,211 @@
+// data types which may be selected, by class of their drawn elements
+const SELECTABLE = {
+    "sg-point": "points", 
+    "sg-line":  "lines", 
+    "sg-area":  "areas"
+};
+
+export default function(SimpleGraph, d3) {
+
+    /*
+     * Enable selecting data by clicking its drawn elements. Click selects only the clicked data, ctrl-click (or
+     * cmd-click) toggles it in the selection, and clicking elsewhere on the graph clears the selection.
+     */
+    SimpleGraph.prototype.enableSelection = function(options) {
+        this.disableSelection();
+        options = options || {};
+        var types = options.types
+            ? (Array.isArray(options.types) ? options.types : [options.types]).map(t => String(t).toLowerCase())
+            : Object.values(SELECTABLE);
+        types.forEach(type => {
+            if(!~Object.values(SELECTABLE).indexOf(type)) throw `Unknown selection data type: ${type}`;
+        });
+        this._selectionClick = {types: types};
+        this._selectionStyles = options.highlight || {};
+        // listened on SVG root to also catch clicks on the background (and points drawn on canvas)
+        this.svg.on("click.sg-selection", evt => this._onSelectionClick(evt));
+        this._styleSelection();
+        return this;
+    };
+
+    SimpleGraph.prototype.disableSelection = function() {
+        if(!this._selectionClick) return this;
+        this.svg.on("click.sg-selection", null);
+        this._selectionClick = null;
+        return this;
+    };
+
+    /*
+     * Get selected data, as the original data objects (not copies), by data type.
+     */
+    SimpleGraph.prototype.getSelection = function() {
+        this._pruneSelection();
+        var sets = this._getSelectionSets(), 
+            selection = {};
+        for(let type in sets) {
+            selection[type] = [...sets[type]];
+        }
+        return selection;
+    };
+
+    /*
+     * Set selected data, either as object of arrays of data objects by data type (as from getSelection()) or as
+     * single array of data objects of any type. Data objects not of this graph are ignored.
+     */
+    SimpleGraph.prototype.setSelection = function(selection) {
+        var sets = {points: new Set(), lines: new Set(), areas: new Set()};
+        if(Array.isArray(selection)) {
+            selection.forEach(d => {
+                for(let type in sets) {
+                    if(this[type] && ~this[type].indexOf(d)) sets[type].add(d);
+                }
+            });
+        } else if(selection) {
+            for(let type in sets) {
+                (selection[type] || []).forEach(d => {
+                    if(this[type] && ~this[type].indexOf(d)) sets[type].add(d);
+                });
+            }
+        }
+        this._updateSelection(sets, null);
+        return this;
+    };
+
+    SimpleGraph.prototype.clearSelection = function() {
+        this._updateSelection({points: new Set(), lines: new Set(), areas: new Set()}, null);
+        return this;
+    };
+
+    SimpleGraph.prototype._getSelectionSets = function() {
+        return this._selection || (this._selection = {points: new Set(), lines: new Set(), areas: new Set()});
+    };
+
+    SimpleGraph.prototype._hasSelection = function() {
+        return !!this._selection && Object.values(this._selection).some(s => s.size);
+    };
+
+    /*
+     * Drop selected data no longer in the graph (e.g. cleared). Selection is otherwise kept through data syncs and
+     * updates, as those modify the data objects in place.
+     */
+    SimpleGraph.prototype._pruneSelection = function() {
+        if(!this._hasSelection()) return;
+        for(let type in this._selection) {
+            let data = new Set(this[type] || []);
+            this._selection[type].forEach(d => {
+                if(!data.has(d)) this._selection[type].delete(d);
+            });
+        }
+    };
+
+    /*
+     * Replace selection, restyling and emitting selectionchange event only if changed.
+     */
+    SimpleGraph.prototype._updateSelection = function(sets, evt) {
+        var current = this._getSelectionSets(), 
+            changed = Object.keys(sets).some(type => (
+                sets[type].size !== current[type].size || [...sets[type]].some(d => !current[type].has(d))
+            ));
+        if(!changed) return;
+        this._selection = sets;
+        this._styleSelection();
+        this._emit("selectionchange", {selection: this.getSelection(), sourceEvent: evt || null});
+    };
+
+    SimpleGraph.prototype._onSelectionClick = function(evt) {
+        var target = evt.target, 
+            type = null, 
+            d = null;
+        for(let className in SELECTABLE) {
+            if(target.classList && target.classList.contains(className)) {
+                type = SELECTABLE[className];
+                d = d3.select(target).datum();
+                break;
+            }
+        }
+        // points drawn on canvas have no elements, so are hit-tested
+        if(!d && this._canvasLayers && this._canvasLayers.points) {
+            let pos = d3.pointer(evt, this.svgGraph.node());
+            d = this._findCanvasPoint(pos[0], pos[1]);
+            type = d ? "points" : null;
+        }
+        var toggle = evt.ctrlKey || evt.metaKey, 
+            current = this._getSelectionSets(), 
+            sets = {};
+        for(let t in current) {
+            sets[t] = new Set(toggle ? current[t] : []);
+        }
+        if(d && ~this._selectionClick.types.indexOf(type)) {
+            if(toggle && sets[type].has(d)) {
+                sets[type].delete(d);
+            } else {
+                sets[type].add(d);
+            }
+        } else if(toggle) {
+            return;
+        }
+        this._updateSelection(sets, evt);
+    };
+
+    /*
+     * Style selected data with highlights (as by highlightPoints(), highlightLines(), and highlightAreas()), replacing
+     * any previous selection highlights. As highlights are copies of the drawn elements, this is called again after
+     * every draw and draw-update.
+     */
+    SimpleGraph.prototype._styleSelection = function() {
+        this._removeSelectionStyle();
+        this._pruneSelection();
+        if(!this._hasSelection() || !this.svgGraph) return;
+        var styles = this._selectionStyles || {}, 
+            graphNode = this.svgGraph.node(), 
+            count = graphNode.childNodes.length, 
+            layer = this._canvasLayers && this._canvasLayers.points, 
+            // elements and canvas points hidden under highlights, to know which to restore after
+            hiddenNodes = new Set(this.svgGraph.selectAll(".sg-highlight-hide").nodes()), 
+            hiddenPoints = new Set(layer ? layer.hidden : []), 
+            getFilter = (selected, userFilter) => (
+                (d, element) => selected.has(d3.select(element).datum()) && (!userFilter || userFilter(d, element))
+            );
+        if(this._selection.points.size) {
+            let opts = Object.assign({}, styles.points);
+            opts.filter = getFilter(this._selection.points, opts.filter);
+            this.highlightPoints(opts);
+        }
+        if(this._selection.lines.size) {
+            let opts = Object.assign({}, styles.lines);
+            opts.filter = getFilter(this._selection.lines, opts.filter);
+            this.highlightLines(opts);
+        }
+        if(this._selection.areas.size) {
+            let opts = Object.assign({}, styles.areas);
+            opts.filter = getFilter(this._selection.areas, opts.filter);
+            this.highlightAreas(opts);
+        }
+        // highlights added are marked so they may be removed apart from other highlights
+        d3.selectAll([...graphNode.childNodes].slice(count)).classed("sg-selection-highlight", true);
+        this._selectionHidden = {
+            nodes:  this.svgGraph.selectAll(".sg-highlight-hide").nodes().filter(n => !hiddenNodes.has(n)), 
+            points: layer ? [...layer.hidden].filter(d => !hiddenPoints.has(d)) : []
+        };
+    };
+
+    SimpleGraph.prototype._removeSelectionStyle = function() {
+        if(!this.svgGraph) return;
+        this.svgGraph.selectAll(".sg-selection-highlight").remove();
+        if(!this._selectionHidden) return;
+        var self = this, 
+            layer = this._canvasLayers && this._canvasLayers.points;
+        d3.selectAll(this._selectionHidden.nodes)
+            .style("opacity", function(d) {
+                // points may have opacity by style or encoding
+                return this.classList.contains("sg-point") ? self._getPointOpacity(d) : "";
+            })
+            .classed("sg-highlight-hide", false);
+        if(layer && this._selectionHidden.points.length) {
+            this._selectionHidden.points.forEach(d => layer.hidden.delete(d));
+            this._paintPointCanvas(layer);
+        }
+        this._selectionHidden = null;
+    };
+
+}
@@ -0,0 +1,485 @@
+// named functions that specs may reference (see SimpleGraph.registerFunction())
+const FUNCTIONS = {};
+// source expression of functions compiled from specs, so they serialize back to the same expression
+const EXPRESSIONS = new WeakMap();
+
+export default function(SimpleGraph, d3) {
+
+    SimpleGraph.registerFunction = function(name, func) {
+        if(typeof func !== "function") throw `Cannot register ${name}, not a function`;
+        FUNCTIONS[name] = func;
+        return SimpleGraph;
+    };
+
+    /*
+     * Create graph from spec, as created by toSpec(). Params are any constructor params not stored in the spec (e.g.
+     * container, document, headless), which take priority over the spec, `functions`, a map of named functions
+     * referenced by the spec (in addition to any registered), and `allowExpressions`, to compile function expression
+     * strings in the spec (off by default, as they run as code).
+     */
+    SimpleGraph.fromSpec = function(spec, params) {
+        if(typeof spec === "string") spec = JSON.parse(spec);
+        spec = spec || {};
+        params = Object.assign({}, params);
+        var functions = Object.assign({}, FUNCTIONS, params.functions), 
+            allowExpressions = !!params.allowExpressions;
+        delete params.functions;
+        delete params.allowExpressions;
+
+        var constructorParams = {
+            width:                spec.width, 
+            height:               spec.height, 
+            margins:              spec.margins ? Object.assign({}, spec.margins) : null, 
+            styles:               Object.assign({}, spec.styles), 
+            allowDrawBeyondGraph: spec.allowDrawBeyondGraph, 
+            responsive:           spec.responsive, 
+            pointRenderer:        spec.pointRenderer, 
+            axis:                 SimpleGraph._parseSpecAxis(spec.axis), 
+            colorScale:           spec.colors && spec.colors.scheme
+                ? d3.scaleOrdinal(spec.colors.scheme).domain(spec.colors.domain || [])
+                : null
+        };
+        if(spec.container) constructorParams.container = spec.container;
+
+        var graph = new SimpleGraph(Object.assign(constructorParams, params));
+        graph._specFunctions = functions;
+        graph._specAllowExpressions = allowExpressions;
+        graph._loadSpecData(spec);
+        if(spec.hidden) spec.hidden.forEach(key => graph._hiddenSeries.add(key));
+        graph._drawSpec(spec.draw);
+        return graph;
+    };
+
+    SimpleGraph._parseSpecAxis = function(axisSpec) {
+        if(!axisSpec) return {};
+        var axisOptions = JSON.parse(JSON.stringify(axisSpec));
+        ["x", "x2", "y", "y2"].forEach(a => {
+            let options = axisOptions[a];
+            if(!options) return;
+            if(options.scale) {
+                let name = "scale" + options.scale.charAt(0).toUpperCase() + options.scale.slice(1);
+                if(typeof d3[name] !== "function") throw `Unknown scale type in spec: ${options.scale}`;
+                options.scale = d3[name];
+            }
+            if(options.scale !== d3.scaleTime && options.scale !== d3.scaleUtc) return;
+            // dates are stored as ISO strings
+            let toDate = v => (v === null || typeof v === "undefined") ? v : new Date(v);
+            if("min" in options) options.min = toDate(options.min);
+            if("max" in options) options.max = toDate(options.max);
+            if(options.break) {
+                (Array.isArray(options.break) ? options.break : [options.break]).forEach(b => {
+                    b.domain = b.domain.map(toDate);
+                });
+            }
+            if(options.tickValues) options.tickValues = options.tickValues.map(toDate);
+            if(options.grid && options.grid.tickValues) options.grid.tickValues = options.grid.tickValues.map(toDate);
+        });
+        return axisOptions;
+    };
+
+    SimpleGraph.prototype.toSpec = function() {
+        var spec = {
+            width:                this.containerWidth, 
+            height:               this.containerHeight, 
+            margins:              Object.assign({}, this.margins), 
+            styles:               Object.assign({}, this._params.styles), 
+            allowDrawBeyondGraph: this.allowDrawBeyondGraph, 
+            responsive:           this._params.responsive, 
+            pointRenderer:        this.pointRenderer, 
+            axis:                 this._getAxisSpec()
+        };
+        if(this._params.container) spec.container = this._params.container;
+
+        // color scale domain kept so series are assigned the same colors
+        spec.colors = {custom: {}};
+        if(typeof this.color.range === "function" && typeof this.color.domain === "function") {
+            spec.colors.scheme = [...this.color.range()];
+            spec.colors.domain = [...this.color.domain()];
+        }
+        for(let series in this.customColors) {
+            let color = this.customColors[series];
+            // color functions are wrapped to distinguish from color strings
+            spec.colors.custom[series] = typeof color === "function" ? {function: this._getFunctionRef(color)} : color;
+        }
+
+        if(this.ptSeriesShapes) {
+            spec.pointShapes = {};
+            for(let series in this.ptSeriesShapes) {
+                if(this.ptSeriesShapes[series]) spec.pointShapes[series] = this.ptSeriesShapes[series];
+            }
+        }
+        if(this.pointEncodings) {
+            spec.pointEncodings = {};
+            for(let channel in this.pointEncodings) {
+                let encoding = this.pointEncodings[channel];
+                spec.pointEncodings[channel] = JSON.parse(JSON.stringify(Object.assign({}, encoding, {
+                    scale:        this._getD3Name("scale", encoding.scale), 
+                    interpolator: encoding.interpolator && this._getD3Name("interpolate", encoding.interpolator)
+                })));
+            }
+        }
+        if(this.points && this.points.length) {
+            spec.points = this.points.map(d => {
+                let point = {series: d.series, x: this._toSpecValue(d.x), y: isNaN(d.y) ? null : d.y};
+                if(d.y2) point.y2 = true;
+                if(d.x2) point.x2 = true;
+                point.size = typeof d.size === "function" ? this._getFunctionRef(d.size) : d.size;
+                if(d.xError) point.xError = [...d.xError];
+                if(d.yError) point.yError = [...d.yError];
+                if(d.errorCap !== this._getPointErrorCap()) point.errorCap = d.errorCap;
+                if(d._keys && d._keys.additional) point.data = this._getAdditionalSpecData(d);
+                return point;
+            });
+        }
+        if(this.lines && this.lines.length) {
+            spec.lines = this.lines.map(line => {
+                let lineSpec = {series: line.series};
+                if(line.lineFunction) {
+                    lineSpec.function = this._getFunctionRef(line.lineFunction);
+                    lineSpec.xRange = line.xRange ? line.xRange.map(x => this._toSpecValue(x)) : null;
+                } else {
+                    lineSpec.coords = line.coords.map(c => [this._toSpecValue(c[0]), c[1]]);
+                }
+                if(line.y2) lineSpec.y2 = true;
+                if(line.x2) lineSpec.x2 = true;
+                lineSpec.style = Object.assign({}, line.style);
+                lineSpec.interpolation = this._getD3Name("curve", line.interpolate);
+                if(line.decimate) lineSpec.decimate = line.decimate;
+                return lineSpec;
+            });
+        }
+        if(this.pointLines && this.pointLines.length) {
+            // point-lines are recreated from points, all with same options as added by a single call
+            let pointLine = this.pointLines[0];
+            spec.pointLines = {
+                series:        this.pointLines.map(line => line.series), 
+                style:         Object.assign({}, pointLine.style), 
+                interpolation: this._getD3Name("curve", pointLine.interpolate), 
+                handleOverlap: pointLine.handleOverlap, 
+                decimate:      pointLine.decimate
+            };
+        }
+        if(this.areas && this.areas.length) {
+            spec.areas = this.areas.map(area => {
+                let areaSpec = {series: area.series};
+                if(area.stack) {
+                    // stacked areas are recreated from values
+                    areaSpec.stack = Object.assign({name: area.stack}, this._areaStacks[area.stack]);
+                    areaSpec.values = area.values.map(v => [this._toSpecValue(v[0]), v[1]]);
+                } else if(area.functions) {
+                    areaSpec.functions = area.functions.map(func => this._getFunctionRef(func));
+                    areaSpec.xRange = area.xRange ? area.xRange.map(x => this._toSpecValue(x)) : null;
+                } else {
+                    areaSpec.coords = area.coords.map(c => [this._toSpecValue(c[0]), c[1], c[2]]);
+                }
+                if(area.y2) areaSpec.y2 = true;
+                if(area.x2) areaSpec.x2 = true;
+                areaSpec.style = Object.assign({}, area.style);
+                areaSpec.interpolation = this._getD3Name("curve", area.interpolate);
+                return areaSpec;
+            });
+        }
+        if(this.bars && this.bars.length) {
+            spec.bars = this.bars.map(d => {
+                let bar = {series: d.series, x: this._toSpecValue(d.x), y: isNaN(d.y) ? null : d.y};
+                if(d.y2) bar.y2 = true;
+                if(d.x2) bar.x2 = true;
+                bar.style = Object.assign({}, d.style);
+                if(d._keys && d._keys.additional) bar.data = this._getAdditionalSpecData(d);
+                return bar;
+            });
+        }
+
+        if(this.annotations && this.annotations.length) {
+            // dragend callbacks are not kept, like other event callbacks
+            spec.annotations = this.annotations.map(a => {
+                let annotation = {};
+                for(let key in a) {
+                    if(key === "dragend") continue;
+                    annotation[key] = (typeof a[key] === "object" && !(a[key] instanceof Date))
+                        ? JSON.parse(JSON.stringify(a[key]))
+                        : this._toSpecValue(a[key]);
+                }
+                return annotation;
+            });
+        }
+
+        if(this._hiddenSeries.size) spec.hidden = this.getHiddenSeries();
+
+        // drawn elements, in the order drawn
+        spec.draw = [];
+        for(let type in this._drawn) {
+            let drawn = JSON.parse(JSON.stringify(this._drawn[type]));
+            // HTML legend container can only be kept as selector
+            if(type === "legend" && drawn.options && typeof this._drawn.legend.options.container !== "string") {
+                delete drawn.options.container;
+            }
+            spec.draw.push(Object.assign({type: type}, drawn));
+        }
+        return spec;
+    };
+
+    SimpleGraph.prototype._getAxisSpec = function() {
+        var axisSpec = {};
+        for(let key in this._axisOptions) {
+            if(key === "x" || key === "x2" || key === "y" || key === "y2") continue;
+            axisSpec[key] = JSON.parse(JSON.stringify(this._axisOptions[key]));
+        }
+        ["x", "x2", "y", "y2"].forEach(a => {
+            if(!this[a] || !this._axisOptions[a]) return;
+            let options = this._axisOptions[a], 
+                toValue = v => this._toSpecValue(v);
+            axisSpec[a] = {};
+            for(let key in options) {
+                if(key === "scale") {
+                    axisSpec[a].scale = this._getD3Name("scale", options.scale);
+                } else if(key === "min" || key === "max") {
+                    axisSpec[a][key] = toValue(options[key]);
+                } else if(key === "break") {
+                    let toBreak = b => Object.assign({}, b, {domain: b.domain.map(toValue)});
+                    axisSpec[a].break = Array.isArray(options.break)
+                        ? options.break.map(toBreak)
+                        : toBreak(options.break);
+                } else if(key === "tickValues") {
+                    axisSpec[a].tickValues = options.tickValues.map(toValue);
+                } else if(key === "grid") {
+                    axisSpec[a].grid = Object.assign({}, options.grid);
+                    if(options.grid.tickValues) axisSpec[a].grid.tickValues = options.grid.tickValues.map(toValue);
+                } else {
+                    axisSpec[a][key] = JSON.parse(JSON.stringify(options[key]));
+                }
+            }
+        });
+        return axisSpec;
+    };
+
+    SimpleGraph.prototype._loadSpecData = function(spec) {
+        var isDate = a => !!this[a] && this[a].isDate, 
+            toX = (x, x2) => (isDate(x2 ? "x2" : "x") && x !== null && typeof x !== "undefined") ? new Date(x) : x;
+
+        if(spec.colors && spec.colors.custom) {
+            for(let series in spec.colors.custom) {
+                let color = spec.colors.custom[series];
+                this.setSeriesColor(series, color && color.function ? this._parseFunctionRef(color.function, ["d"]) : color);
+            }
+        }
+        if(spec.pointShapes) {
+            this.ptSeriesShapes = Object.assign({}, spec.pointShapes);
+        }
+        if(spec.pointEncodings) {
+            for(let channel in spec.pointEncodings) {
+                let encoding = spec.pointEncodings[channel];
+                this.setPointEncoding(channel, encoding.field, Object.assign({}, encoding, {
+                    scale:        this._fromD3Name("scale", encoding.scale), 
+                    interpolator: this._fromD3Name("interpolate", encoding.interpolator)
+                }));
+            }
+        }
+        if(spec.points) {
+            spec.points.forEach(p => {
+                let datum = Object.assign({}, p.data, {x: toX(p.x, p.x2), y: p.y, xError: p.xError, yError: p.yError});
+                this.addPointsData([datum], p.series, "x", "y", {
+                    forceSeries:        true, 
+                    size:               typeof p.size === "string" ? this._parseFunctionRef(p.size, ["d", "data"]) : p.size, 
+                    y2:                 p.y2, 
+                    x2:                 p.x2, 
+                    xError:             "xError", 
+                    yError:             "yError", 
+                    errorCap:           p.errorCap, 
+                    additionalDataKeys: p.data ? Object.keys(p.data) : null
+                });
+            });
+        }
+        if(spec.lines) {
+            spec.lines.forEach(line => {
+                let options = {
+                    y2:            line.y2, 
+                    x2:            line.x2, 
+                    style:         Object.assign({}, line.style), 
+                    interpolation: this._fromD3Name("curve", line.interpolation), 
+                    decimate:      line.decimate
+                };
+                if(line.function) {
+                    this.addLineDataAsFunction(
+                        line.series, 
+                        this._parseFunctionRef(line.function, ["x"]), 
+                        line.xRange ? line.xRange.map(x => toX(x, line.x2)) : null, 
+                        options
+                    );
+                } else {
+                    this.addLineDataAsCoordinates(line.series, line.coords.map(c => [toX(c[0], line.x2), c[1]]), options);
+                }
+            });
+        }
+        if(spec.pointLines) {
+            this.addLinesDataFromPoints(spec.pointLines.series, {
+                style:         Object.assign({}, spec.pointLines.style), 
+                interpolation: this._fromD3Name("curve", spec.pointLines.interpolation), 
+                handleOverlap: spec.pointLines.handleOverlap, 
+                decimate:      spec.pointLines.decimate
+            });
+        }
+        if(spec.areas) {
+            let stacks = new Set();
+            spec.areas.forEach(area => {
+                let options = {
+                    y2:            area.y2, 
+                    x2:            area.x2, 
+                    style:         Object.assign({}, area.style), 
+                    interpolation: this._fromD3Name("curve", area.interpolation)
+                };
+                if(area.stack) {
+                    Object.assign(options, {offset: area.stack.offset, order: area.stack.order});
+                    this._setAreaStack(area.stack.name, options);
+                    this._addStackedArea(area.stack.name, area.series, area.values.map(v => [toX(v[0], area.x2), v[1]]), options);
+                    stacks.add(area.stack.name);
+                } else if(area.functions) {
+                    this.addAreaBetweenTwoLines(
+                        area.series, 
+                        this._parseFunctionRef(area.functions[0], ["x"]), 
+                        this._parseFunctionRef(area.functions[1], ["x"]), 
+                        area.xRange ? area.xRange.map(x => toX(x, area.x2)) : null, 
+                        options
+                    );
+                } else {
+                    this.addAreaAsCoordinates(area.series, area.coords.map(c => [toX(c[0], area.x2), c[1], c[2]]), options);
+                }
+            });
+            stacks.forEach(stack => this._stackAreas(stack));
+        }
+        if(spec.bars) {
+            spec.bars.forEach(b => {
+                let datum = Object.assign({}, b.data, {x: toX(b.x, b.x2), y: b.y});
+                this.addBarsData([datum], b.series, "x", "y", {
+                    forceSeries:        true, 
+                    y2:                 b.y2, 
+                    x2:                 b.x2, 
+                    style:              b.style, 
+                    additionalDataKeys: b.data ? Object.keys(b.data) : null
+                });
+            });
+        }
+        if(spec.annotations) {
+            let toValue = (a, v) => (
+                (this[a] && this[a].isDate && v !== null && typeof v !== "undefined") ? new Date(v) : v
+            );
+            spec.annotations.forEach(a => {
+                let options = Object.assign({}, a);
+                switch(a.type) {
+                    case "line":
+                        this.addReferenceLine(a.axis, toValue(a.axis, a.value), options);
+                        break;
+                    case "band":
+                        this.addBand(a.axis, toValue(a.axis, a.from), toValue(a.axis, a.to), options);
+                        break;
+                    case "text":
+                        this.addTextAnnotation(toValue(a.x2 ? "x2" : "x", a.x), toValue(a.y2 ? "y2" : "y", a.y), a.text, options);
+                        break;
+                }
+            });
+        }
+        return this;
+    };
+
+    SimpleGraph.prototype._drawSpec = function(draw) {
+        if(!draw) return this;
+        draw.forEach(d => {
+            switch(d.type) {
+                case "axes":
+                    this.drawAxes(d.labelPosition, d.xAxisPosition, d.axisLabelMargin);
+                    break;
+                case "grid":
+                    this.drawGrid(d.style, d.options);
+                    break;
+                case "legend":
+                    this.drawLegend(d.position, d.options);
+                    break;
+                case "scaleLegends":
+                    for(let channel in d) {
+                        if(channel !== "type") this.drawScaleLegend(channel, d[channel].position, d[channel].options);
+                    }
+                    break;
+                case "points":
+                    this.drawPoints(d.showNulls);
+                    break;
+                case "lines":
+                    this.drawLines(d.resolution);
+                    break;
+                case "pointLines":
+                    this.drawPointLines();
+                    break;
+                case "areas":
+                    this.drawAreas(d.resolution);
+                    break;
+                case "bars":
+                    this.drawBars(d.options);
+                    break;
+                case "annotations":
+                    this.drawAnnotations();
+                    break;
+            }
+        });
+        return this;
+    };
+
+    SimpleGraph.prototype._toSpecValue = function(value) {
+        return value instanceof Date ? value.toISOString() : value;
+    };
+
+    SimpleGraph.prototype._getAdditionalSpecData = function(d) {
+        var data = {};
+        d._keys.additional.forEach(a => data[a.key] = this._toSpecValue(d[a.name]));
+        return data;
+    };
+
+    /*
+     * Get D3 factory name without prefix (e.g. "linear" for d3.scaleLinear or "monotoneX" for d3.curveMonotoneX).
+     */
+    SimpleGraph.prototype._getD3Name = function(prefix, value) {
+        for(let key in d3) {
+            if(key.startsWith(prefix) && d3[key] === value) {
+                return key.charAt(prefix.length).toLowerCase() + key.slice(prefix.length + 1);
+            }
+        }
+        throw `Cannot serialize ${prefix} to spec, not a D3 ${prefix} type`;
+    };
+
+    SimpleGraph.prototype._fromD3Name = function(prefix, name) {
+        if(!name) return null;
+        var key = prefix + name.charAt(0).toUpperCase() + name.slice(1);
+        if(!d3[key]) throw `Unknown ${prefix} type in spec: ${name}`;
+        return d3[key];
+    };
+
+    /*
+     * Functions are referenced by registered name, otherwise by expression string.
+     */
+    SimpleGraph.prototype._getFunctionRef = function(func) {
+        var functions = Object.assign({}, FUNCTIONS, this._specFunctions);
+        for(let name in functions) {
+            if(functions[name] === func) return name;
+        }
+        if(EXPRESSIONS.has(func)) return EXPRESSIONS.get(func);
+        throw "Cannot serialize function to spec, register it with SimpleGraph.registerFunction()";
+    };
+
+    SimpleGraph.prototype._parseFunctionRef = function(ref, args) {
+        if(typeof ref === "function") return ref;
+        if(this._specFunctions && ref in this._specFunctions) return this._specFunctions[ref];
+        if(ref in FUNCTIONS) return FUNCTIONS[ref];
+        // expressions run as code, so only compiled if allowed (specs may come from untrusted sources)
+        if(!this._specAllowExpressions) {
+            throw `Unknown function in spec: ${ref} (register it with SimpleGraph.registerFunction(), or set `
+                + "allowExpressions to compile expressions)";
+        }
+        var func;
+        try {
+            func = new Function(...args, `return (${ref});`);
+        } catch(e) {
+            throw `Invalid function expression in spec: ${ref}`;
+        }
+        EXPRESSIONS.set(func, ref);
+        return func;
+    };
+
+}
@@ -2,6 +2,11 @@ export default function(SimpleGraph, d3) {
 
     SimpleGraph.prototype.addTooltipToPoints = function(textFunction, forSeries, options) {
         forSeries = forSeries && !Array.isArray(forSeries) ? [forSeries] : forSeries;
+        // points drawn on canvas are hit-tested instead
+        if(this._canvasLayers && this._canvasLayers.points) {
+            this._addCanvasTooltip("points", this._constructTooltipFunctionality(textFunction, options), forSeries);
+            return this;
+        }
         this.svgGraph.selectAll(".sg-point")
             .filter(d => !forSeries || ~forSeries.indexOf(d.series))
             .call(this._constructTooltipFunctionality(textFunction, options));
@@ -24,6 +29,14 @@ export default function(SimpleGraph, d3) {
         return this;
     };
 
+    SimpleGraph.prototype.addTooltipToBars = function(textFunction, forSeries, options) {
+        forSeries = forSeries && !Array.isArray(forSeries) ? [forSeries] : forSeries;
+        this.svgGraph.selectAll(".sg-bar")
+            .filter(d => !forSeries || ~forSeries.indexOf(d.series))
+            .call(this._constructTooltipFunctionality(textFunction, options));
+        return this;
+    };
+
     SimpleGraph.prototype._constructTooltipFunctionality = function(textFunction, options) {
         var gNode = this.svgGraph.node();
 
@@ -121,7 +134,7 @@ export default function(SimpleGraph, d3) {
         var self = this;
         this.svgGraph.selectAll(selectQuery).each(function(d, i, s) {
             if(validationCallback && !validationCallback(d)) return;
-            var xScale = self.x.scale, 
+            var xScale = d.x2 ? self.x2.scale : self.x.scale, 
                 yScale = d.y2 ? self.y2.scale : self.y.scale;
             if(!size) {
                 size = d.wasNull ? 0 : (typeof d.pointsize === "function" ? d.pointsize() : d.pointsize);
@@ -0,0 +1,214 @@
+// data types visibility is tracked by (point-lines are shown or hidden with their points)
+const DATA_TYPES = ["points", "lines", "areas", "bars"];
+// selectors of drawn elements by data type
+const TYPE_SELECTORS = {
+    points: ".sg-point, .sg-point-error, .sg-point-line", 
+    lines:  ".sg-line", 
+    areas:  ".sg-area", 
+    bars:   ".sg-bar"
+};
+// selectors of elements in graph by what is drawn (keys of drawn)
+const DRAWN_SELECTORS = {
+    areas:       ".sg-area", 
+    bars:        ".sg-bar", 
+    lines:       ".sg-line", 
+    pointLines:  ".sg-point-line, .sg-point-line-canvas", 
+    points:      ".sg-point, .sg-point-error, .sg-point-canvas", 
+    grid:        ".sg-grid", 
+    annotations: ".sg-annotations", 
+    axes:        ".sg-xaxis, .sg-x2axis, .sg-yaxis, .sg-y2axis"
+};
+
+export default function(SimpleGraph, d3) {
+
+    SimpleGraph.prototype.setSeriesVisibility = function(series, visible, transition) {
+        var changed = [];
+        this._parseSeriesTypes(series).forEach(key => {
+            if(!!visible === !this._hiddenSeries.has(key)) return;
+            if(visible) {
+                this._hiddenSeries.delete(key);
+            } else {
+                this._hiddenSeries.add(key);
+            }
+            changed.push(key);
+        });
+        if(changed.length) this._renderSeriesVisibility(changed, transition);
+        return this;
+    };
+
+    SimpleGraph.prototype.toggleSeriesVisibility = function(series, transition) {
+        var keys = this._parseSeriesTypes(series);
+        // if partially hidden, show all
+        return this.setSeriesVisibility(keys, keys.some(key => this._hiddenSeries.has(key)), transition);
+    };
+
+    SimpleGraph.prototype.isolateSeries = function(series, transition) {
+        var keys = this._parseSeriesTypes(series), 
+            others = this._getSeriesTypeKeys().filter(key => !~keys.indexOf(key));
+        // isolating what is already isolated shows all again
+        if(keys.every(key => !this._hiddenSeries.has(key)) && others.every(key => this._hiddenSeries.has(key))) {
+            return this.showAllSeries(transition);
+        }
+        var changed = [];
+        keys.forEach(key => {
+            if(this._hiddenSeries.delete(key)) changed.push(key);
+        });
+        others.forEach(key => {
+            if(this._hiddenSeries.has(key)) return;
+            this._hiddenSeries.add(key);
+            changed.push(key);
+        });
+        if(changed.length) this._renderSeriesVisibility(changed, transition);
+        return this;
+    };
+
+    SimpleGraph.prototype.showAllSeries = function(transition) {
+        return this.setSeriesVisibility(this.getHiddenSeries(), true, transition);
+    };
+
+    SimpleGraph.prototype.getHiddenSeries = function() {
+        return [...this._hiddenSeries];
+    };
+
+    SimpleGraph.prototype.isSeriesVisible = function(series) {
+        return this._parseSeriesTypes(series).every(key => !this._hiddenSeries.has(key));
+    };
+
+    SimpleGraph.prototype._isSeriesHidden = function(series, type) {
+        return this._hiddenSeries.size > 0 && this._hiddenSeries.has(series + "::" + type);
+    };
+
+    /*
+     * Parse series names into keys of series name and data type, with the same syntax as the legend exclude option.
+     * Series name alone applies to all data types. Data type alone (e.g. "::points") applies to all series of data
+     * type.
+     */
+    SimpleGraph.prototype._parseSeriesTypes = function(series) {
+        var keys = [];
+        (Array.isArray(series) ? series : [series]).forEach(name => {
+            let nameparts = String(name).split("::").map(s => s.trim()), 
+                types = DATA_TYPES;
+            if(nameparts.length > 1) {
+                let type = nameparts[1].toLowerCase();
+                type = type.endsWith("s") ? type : type + "s";
+                if(!~DATA_TYPES.indexOf(type)) throw `Unknown data type: ${nameparts[1]}`;
+                types = [type];
+            }
+            let add = key => {
+                if(!~keys.indexOf(key)) keys.push(key);
+            };
+            if(nameparts[0]) {
+                types.forEach(type => add(nameparts[0] + "::" + type));
+            } else {
+                this._getSeriesTypeKeys().filter(key => ~types.indexOf(key.split("::").pop())).forEach(add);
+            }
+        });
+        return keys;
+    };
+
+    /*
+     * Get keys of every series and data type in data.
+     */
+    SimpleGraph.prototype._getSeriesTypeKeys = function() {
+        var keys = [];
+        DATA_TYPES.forEach(type => {
+            let data = this[type] || [];
+            if(type === "points" && this.pointLines) data = data.concat(this.pointLines);
+            data.forEach(d => {
+                let key = d.series + "::" + type;
+                if(!~keys.indexOf(key)) keys.push(key);
+            });
+        });
+        return keys;
+    };
+
+    /*
+     * Redraw after visibility changes. Elements of newly hidden series are detached from the drawn data (so redraws
+     * ignore them) and faded out, while newly shown series are drawn in by draw-updates.
+     */
+    SimpleGraph.prototype._renderSeriesVisibility = function(changed, transition) {
+        if(transition) {
+            if(Object.getPrototypeOf(transition) !== Object.prototype) {
+                transition = {};
+            }
+            transition.duration = transition.duration || 200;
+            transition.ease = transition.ease || d3.easePolyOut;
+        }
+        // highlights are static copies of drawn elements that would be left behind
+        this.removeHighlights();
+        changed.filter(key => this._hiddenSeries.has(key)).forEach(key => {
+            let parts = key.split("::"), 
+                type = parts.pop(), 
+                series = parts.join("::"), 
+                selection = this.svgGraph.selectAll(TYPE_SELECTORS[type]).filter(d => d && d.series === series);
+            selection.each(d => {
+                if(d._d3s) d._d3s = null;
+            });
+            if(transition) {
+                selection.attr("class", "sg-series-hiding")
+                  .transition().duration(transition.duration).ease(transition.ease)
+                    .style("opacity", 0)
+                    .remove();
+            } else {
+                selection.remove();
+            }
+        });
+        var graphNode = this.svgGraph.node(), 
+            existing = new Set(graphNode.childNodes);
+        this._drawUpdateAll(transition);
+        this._restoreDrawOrder(existing);
+        this._updateLegendVisibility();
+
+        var legend = this._drawn.legend;
+        if(legend && legend.options && typeof legend.options.visibilityChange === "function") {
+            legend.options.visibilityChange(
+                changed.map(key => {
+                    let parts = key.split("::"), 
+                        type = parts.pop();
+                    return {series: parts.join("::"), type: type, visible: !this._hiddenSeries.has(key)};
+                }), 
+                this.getHiddenSeries()
+            );
+        }
+    };
+
+    /*
+     * Draw-updates append elements of shown series, so move them back beneath anything drawn after their type.
+     */
+    SimpleGraph.prototype._restoreDrawOrder = function(existing) {
+        var graphNode = this.svgGraph.node(), 
+            drawnKeys = Object.keys(this._drawn).filter(key => key in DRAWN_SELECTORS), 
+            drawnIndex = node => drawnKeys.findIndex(key => node.matches && node.matches(DRAWN_SELECTORS[key])), 
+            existingIndexes = [], 
+            added = {};
+        // index each node once, collecting new nodes by index of drawn type (in document order)
+        [...graphNode.childNodes].forEach(node => {
+            let index = drawnIndex(node);
+            if(existing.has(node)) {
+                existingIndexes.push({node: node, index: index});
+            } else if(~index) {
+                (added[index] = added[index] || []).push(node);
+            }
+        });
+        for(let index in added) {
+            let before = existingIndexes.find(e => e.index > +index);
+            if(!before) continue;
+            let fragment = graphNode.ownerDocument.createDocumentFragment();
+            added[index].forEach(node => fragment.appendChild(node));
+            graphNode.insertBefore(fragment, before.node);
+        }
+    };
+
+    SimpleGraph.prototype._updateLegendVisibility = function() {
+        var items = this.svg.selectAll(".sg-legend-item").nodes();
+        if(this._htmlLegend) items = items.concat(this._htmlLegend.selectAll(".sg-legend-item").nodes());
+        items.forEach(node => {
+            let item = d3.select(node), 
+                hidden = this._isSeriesHidden(item.attr("series"), item.attr("type"));
+            item.classed("sg-legend-item-hidden", hidden)
+                .style("opacity", hidden ? 0.35 : null);
+            item.select(".sg-legend-button").attr("aria-pressed", hidden ? "false" : "true");
+        });
+    };
+
+}
@@ -0,0 +1,113 @@
+export default function(SimpleGraph, d3) {
+
+    SimpleGraph.prototype.enableZoom = function(options) {
+        this.disableZoom();
+        options = options || {};
+        let axes = (options.axes || "xy").toLowerCase(), 
+            scaleExtent = options.scaleExtent || [1, 32], 
+            extent = [[0, 0], [this.width, this.height]];
+
+        this._zoom = {
+            x:        !!~axes.indexOf("x"), 
+            y:        !!~axes.indexOf("y"), 
+            change:   options.change || null, 
+            base:     null, 
+            behavior: d3.zoom()
+                .scaleExtent(scaleExtent)
+                .extent(extent)
+        };
+        // by default, keep panning within the original axes domains
+        if(options.constrain !== false) {
+            this._zoom.behavior.translateExtent(extent);
+        }
+        this._rebaseZoom();
+
+        // capture layer so mouse events register anywhere in graph area (inserted below all drawn data)
+        this.svgGraph.insert("rect", ":first-child")
+            .attr("class", "sg-zoom-capture")
+            .attr("x", 0)
+            .attr("y", 0)
+            .attr("width", this.width)
+            .attr("height", this.height)
+            .style("fill", "none")
+            .style("pointer-events", "all");
+
+        this._zoom.behavior.on("zoom.sg-zoom", evt => this._applyZoom(evt.transform));
+        this.svgGraph.call(this._zoom.behavior);
+
+        return this;
+    };
+
+    SimpleGraph.prototype.disableZoom = function() {
+        if(!this._zoom) return this;
+        this.svgGraph.on(".zoom", null);
+        this.svgGraph.selectAll(".sg-zoom-capture").remove();
+        this.svgGraph.property("__zoom", null);
+        this._zoom = null;
+        return this;
+    };
+
+    SimpleGraph.prototype.resetZoom = function(transition) {
+        if(!this._zoom) return this;
+        if(transition) {
+            if(Object.getPrototypeOf(transition) !== Object.prototype) {
+                transition = {};
+            }
+            transition.duration = transition.duration || 200;
+            transition.ease = transition.ease || d3.easePolyOut;
+            this.svgGraph.transition().duration(transition.duration).ease(transition.ease)
+                .call(this._zoom.behavior.transform, d3.zoomIdentity);
+        } else {
+            this.svgGraph.call(this._zoom.behavior.transform, d3.zoomIdentity);
+        }
+        return this;
+    };
+
+    SimpleGraph.prototype.getZoomDomain = function() {
+        let domain = {
+            x: [this.x.min, this.x.max], 
+            y: [this.y.min, this.y.max]
+        };
+        if(this.y2) domain.y2 = [this.y2.min, this.y2.max];
+        if(this.x2) domain.x2 = [this.x2.min, this.x2.max];
+        return domain;
+    };
+
+    /*
+     * Store current axes domains as the unzoomed state and reset zoom transform without triggering a zoom event.
+     */
+    SimpleGraph.prototype._rebaseZoom = function() {
+        this._zoom.base = {};
+        ["x", "x2", "y", "y2"].forEach(a => {
+            // axes with breaks are not zoomable as the break would have to be rescaled with it
+            if(!this[a] || this[a].breaks) return;
+            if(a[0] === "x" ? !this._zoom.x : !this._zoom.y) return;
+            this._zoom.base[a] = this[a].scale.domain();
+        });
+        this.svgGraph.property("__zoom", d3.zoomIdentity);
+    };
+
+    SimpleGraph.prototype._applyZoom = function(transform) {
+        for(let a in this._zoom.base) {
+            let base = this[a].scale.copy().domain(this._zoom.base[a]), 
+                domain = (a[0] === "x" ? transform.rescaleX(base) : transform.rescaleY(base)).domain();
+            this[a].scale.domain(domain);
+            this[a].min = domain[0];
+            this[a].max = domain[1];
+        }
+        // for backwards compatibility
+        this.minMax = {
+            x: [this.x.min, this.x.max], 
+            y: [this.y.min, this.y.max]
+        };
+
+        this._updateAxes();
+        this._updateGrid();
+        // highlights are static copies of drawn elements that would be left behind
+        this.removeHighlights();
+        this._drawUpdateAll();
+
+        if(this._zoom.change) this._zoom.change(this.getZoomDomain(), transform);
+    };
+
+}
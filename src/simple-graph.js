@@ -10,13 +10,28 @@ import * as d3 from 'd3';
 function SimpleGraph(params) {
     // default params
     params           = params || {};
-    params.container = params.container || "body";
+    params.container = params.container || (params.headless ? null : "body");
     params.margins   = params.margins || {};
     params.axis      = params.axis || {};
     params.styles    = params.styles || {};
     
     // Option to allow drawing outside graph range.
     this.allowDrawBeyondGraph = !!params.allowDrawBeyondGraph;
+    
+    // Points (and point-lines) may be rendered to canvas for large datasets.
+    this.pointRenderer = (params.pointRenderer || "").toLowerCase() === "canvas" ? "canvas" : "svg";
+
+    // Headless rendering (e.g. in Node with jsdom) measures text with stand-in function instead of the DOM.
+    this.headless    = !!params.headless;
+    this.textMetrics = params.textMetrics || null;
+    this.document    = params.document || (typeof document !== "undefined" ? document : null);
+    
+    // params not otherwise kept on instance, for serializing to spec
+    this._params = {
+        container:  typeof params.container === "string" ? params.container : null, 
+        styles:     Object.assign({}, params.styles), 
+        responsive: !!params.responsive
+    };
 
     // adjust width and height by margins
     if(Array.isArray(params.margins)) {
@@ -35,15 +50,31 @@ function SimpleGraph(params) {
     };
     this.containerWidth  = params.width || 600;
     this.containerHeight = params.height || 400;
+    
+    // responsive graphs are sized to fit container, falling back on provided dimensions if container has no size
+    var container = params.container;
+    if(typeof container === "string") {
+        container = this.document.querySelector(container);
+    }
+    if(params.responsive && container) {
+        let size = this._getContainerSize(container);
+        this.containerWidth  = size.width;
+        this.containerHeight = size.height;
+    }
     this.width           = this.containerWidth - this.margins.left - this.margins.right;
     this.height          = this.containerHeight - this.margins.top - this.margins.bottom;
     
     // category color scale
     this.color = (params.colorScale) ? params.colorScale : d3.scaleOrdinal(d3.schemeCategory10);
     this.customColors = {};
+    // hidden series by keys of series name and data type (e.g. "name::points")
+    this._hiddenSeries = new Set();
     
-    // create the SVG
-    this.svg = d3.select(params.container).append("svg")
+    // create the SVG (if headless and no container given, created detached from document)
+    this.svg = (container 
+            ? d3.select(container).append("svg") 
+            : d3.select(this.document.createElementNS("http://www.w3.org/2000/svg", "svg"))
+        )
         .attr("width", this.containerWidth)
         .attr("height", this.containerHeight)
         .style('font-family', "'Century Gothic', CenturyGothic, Geneva, AppleGothic, sans-serif")
@@ -57,8 +88,17 @@ function SimpleGraph(params) {
         this.svg.style(style, params.styles[style]);
     }
     
+    // record of which data types are currently drawn (and with what draw parameters)
+    this._drawn = {};
+    
     this.resetAxisOptions(params.axis);
     
+    if(params.responsive && container) {
+        // block display avoids inline whitespace below SVG growing the container on every resize
+        this.svg.style("display", "block");
+        this._observeResize(container);
+    }
+    
     return this;
 };
 
@@ -79,6 +119,18 @@ SimpleGraph.prototype.remove = function() {
 };
 
 SimpleGraph.prototype.destroy = function() {
+    // no further events are emitted while tearing down
+    this._emit("destroy");
+    this._listeners = null;
+    // crosshair tooltip and accessibility data table live outside the SVG
+    this.disableCrosshair();
+    this.disableAccessibility();
+    // HTML legend lives outside the SVG
+    this.removeLegend();
+    if(this._resizeObserver) {
+        this._resizeObserver.disconnect();
+        this._resizeObserver = null;
+    }
     this.svg.remove();
     this.svg = null;
     this.svgGraph = null;
@@ -96,44 +148,100 @@ SimpleGraph.prototype.destroy = function() {
     this.xGridAxis = null;
     this.points = null;
     this.ptSeriesShapes = null;
+    this.pointEncodings = null;
     this.lines = null;
     this.pointLines = null;
     this.areas = null;
+    this.bars = null;
+    this.annotations = null;
+    this._zoom = null;
+    this._brush = null;
+    this._crosshair = null;
+    this._selection = null;
+    this._selectionClick = null;
+    this._hiddenSeries = null;
 };
 
 //************************************************************************************************************
 // Add modules
 //************************************************************************************************************
+// Events
+import sgEvents from "./sg.events";
+sgEvents(SimpleGraph, d3);
 // Axis functions
 import sgAxis from "./sg.axis";
+import sgAxisAuto from "./sg.axis.auto";
+import sgAxisBreaks from "./sg.axis.breaks";
 sgAxis(SimpleGraph, d3);
+sgAxisAuto(SimpleGraph, d3);
+sgAxisBreaks(SimpleGraph, d3);
 // Color/category functions
 import sgColor from "./sg.color";
 sgColor(SimpleGraph, d3);
 // Grid and legend
 import sgGridLegend from "./sg.grid.legend";
+import sgLegendScales from "./sg.legend.scales";
 sgGridLegend(SimpleGraph, d3);
+sgLegendScales(SimpleGraph, d3);
 // Data functions
 import sgDataPoint from "./sg.data.point";
 import sgDataArea from "./sg.data.area";
 import sgDataLine from "./sg.data.line";
+import sgDataBar from "./sg.data.bar";
+import sgDataCsv from "./sg.data.csv";
+import sgDataAnnotation from "./sg.data.annotation";
+import sgDataEncoding from "./sg.data.encoding";
 sgDataPoint(SimpleGraph, d3);
 sgDataArea(SimpleGraph, d3);
 sgDataLine(SimpleGraph, d3);
+sgDataBar(SimpleGraph, d3);
+sgDataCsv(SimpleGraph, d3);
+sgDataAnnotation(SimpleGraph, d3);
+sgDataEncoding(SimpleGraph, d3);
 // Draw functions
 import sgDrawLib from "./sg.draw.lib";
 import sgDrawPoints from "./sg.draw.points";
 import sgDrawLines from "./sg.draw.lines";
 import sgDrawAreas from "./sg.draw.areas";
+import sgDrawBars from "./sg.draw.bars";
+import sgDrawCanvas from "./sg.draw.canvas";
+import sgDrawAnnotations from "./sg.draw.annotations";
 sgDrawLib(SimpleGraph, d3);
 sgDrawPoints(SimpleGraph, d3);
 sgDrawLines(SimpleGraph, d3);
 sgDrawAreas(SimpleGraph, d3);
+sgDrawBars(SimpleGraph, d3);
+sgDrawCanvas(SimpleGraph, d3);
+sgDrawAnnotations(SimpleGraph, d3);
 // Interactivity functions
 import sgTooltip from "./sg.tooltip";
 import sgHighlight from "./sg.highlight";
+import sgSelection from "./sg.selection";
+import sgZoom from "./sg.zoom";
+import sgBrush from "./sg.brush";
+import sgCrosshair from "./sg.crosshair";
+import sgVisibility from "./sg.visibility";
+import sgAccessibility from "./sg.accessibility";
 sgTooltip(SimpleGraph, d3);
 sgHighlight(SimpleGraph, d3);
+sgSelection(SimpleGraph, d3);
+sgZoom(SimpleGraph, d3);
+sgBrush(SimpleGraph, d3);
+sgCrosshair(SimpleGraph, d3);
+sgVisibility(SimpleGraph, d3);
+sgAccessibility(SimpleGraph, d3);
+// Headless rendering and export
+import sgHeadless from "./sg.headless";
+import sgExport from "./sg.export";
+sgHeadless(SimpleGraph, d3);
+sgExport(SimpleGraph, d3);
+// Responsive resizing
+import sgResize from "./sg.resize";
+sgResize(SimpleGraph, d3);
+
+// Chart specs
+import sgSpec from "./sg.spec";
+sgSpec(SimpleGraph, d3);
 
 //************************************************************************************************************
 // Misc Functions
@@ -142,71 +250,39 @@ SimpleGraph.prototype.clearAllData = function(series) {
     this.clearPointsData(series);
     this.clearLinesData(series);
     this.clearAreasData(series);
+    this.clearBarsData(series);
     return this;
 };
 
 SimpleGraph.prototype.removeAll = function(series) {
-    this.removePoints(series).removeAllLines(series).removeAreas(series);
+    this.removePoints(series).removeAllLines(series).removeAreas(series).removeBars(series);
     return this;
 };
 
-SimpleGraph.prototype.saveAsPng = function(pngName) {
-    if(!pngName) { pngName = "graph.png"; }
-    if(!pngName.toLowerCase().endsWith(".png")) { pngName += ".png"; }
-    
-    let svgNode = this.svg
-            .attr("version", "1.1")
-            .attr("xmlns", "http://www.w3.org/2000/svg")
-            .attr("xmlns:xlink", "http://www.w3.org/1999/xlink")
-            .node();
-        serializer = new XMLSerializer(), 
-        svgHtml = serializer.serializeToString(svgNode), 
-        canvas = document.createElement("canvas");
-    canvas.style.display = "none";
-    canvas.width = this.containerWidth;
-    canvas.height = this.containerHeight;
-    
-    // because internet explorer, this is only way around the security error (requires canvg library which is 
-    // not explicitly required, assumed loaded somewhere on the page globally)
-    if(navigator.msSaveBlob && canvg) {
-        // have to manually replace the width/height in cases of bottom-buffer IE hack for resizable graphs
-        svgHtml = svgHtml.replace("style=\"width: 100%; height: 1px;", "style=\"width:" + this.containerWidth + "px; height:" + this.containerHeight + "px;");
-        // draw via canvg, which is totally redudant if not for the fact this is only way to bypass security error
-        canvg(canvas, svgHtml);
-        navigator.msSaveBlob(
-            new Blob([canvas.msToBlob()], {type:"image/png"}), 
-            pngName
-        );
-        return this;
+/*
+ * Draw-update only the data types currently drawn on the graph, reusing the parameters they were last drawn with. 
+ * Used when the axes domains change without invalidating the drawn data (e.g. zooming).
+ */
+SimpleGraph.prototype._drawUpdateAll = function(transition) {
+    if(this._drawn.areas && this.areas) {
+        this.drawUpdateAreas(this._drawn.areas.resolution, transition);
     }
-    
-    let a = document.createElement("a");
-    a.style.display = "none";
-    a.download = pngName;
-    this.svg.node().parentNode.appendChild(a);
-    
-    let img = new Image();
-    img.onload = function() {
-        canvas.getContext("2d").drawImage(img, 0, 0);
-        // freaking internet explorer..
-        if(navigator.msSaveBlob) {
-            try {
-                navigator.msSaveBlob(
-                    new Blob([canvas.msToBlob()], {type:"image/png"}), 
-                    pngName
-                );
-            } catch(e) {
-                // still doesn't work because of overly strict security restrictions in IE
-                alert("Sorry, SVG to PNG downloads are restricted in Internet Explorer, please try with another browser.");
-            }
-        } else {
-            a.href = canvas.toDataURL("image/png");
-            a.click();
-        }
-        a.parentElement.removeChild(a);
-        canvas.remove();
-    };
-    img.src = "data:image/svg+xml;base64," + btoa(unescape(encodeURIComponent(svgHtml)));
+    if(this._drawn.bars) {
+        this.drawUpdateBars(this._drawn.bars.options, transition);
+    }
+    if(this._drawn.lines && this.lines) {
+        this.drawUpdateLines(this._drawn.lines.resolution, transition);
+    }
+    if(this._drawn.pointLines && this.pointLines) {
+        this.drawUpdatePointLines(transition);
+    }
+    if(this._drawn.points) {
+        this.drawUpdatePoints(this._drawn.points.showNulls, transition);
+    }
+    if(this._drawn.annotations) {
+        this.drawUpdateAnnotations(transition);
+    }
+    return this;
 };
 
 export default SimpleGraph;
\ No newline at end of file